@@ -5,6 +5,8 @@ const RUN_INDEX_PATH = "data/runs/index.json";
 const RUNS_BASE_PATH = "data/runs/";
 const SPRITES_PATH = "sprites/";
 const BADGES_PATH = `${SPRITES_PATH}badges/`;
+const SPRITE_MANIFEST_PATH = `${SPRITES_PATH}manifest.json`;
+const GYMS_PATH = "data/gyms.json";
 const DEFAULT_RUN_ID = "run-02";
 const SCROLL_OFFSET = 110; // adjust if header height changes
 
@@ -12,7 +14,20 @@ const SCROLL_OFFSET = 110; // adjust if header height changes
    State
    ============================ */
 let CURRENT_RUN_ID = null;
-const COLLAPSED_KEY_PREFIX = "nuz_timeline_collapsed:";
+let CURRENT_RUN_EVENTS = []; // unfiltered events of the loaded run, up to the watched episode (biography view, roster)
+let CURRENT_RUN_ALL_EVENTS = []; // every event in the run file, spoiler guard ignored (editor)
+let CURRENT_RUN_FILE_EVENTS = []; // the same events exactly as events.json has them (editor export)
+let CURRENT_RUN_META = null;
+let RUNS_LIST = [];          // entries of data/runs/index.json
+let NAMESAKE_INDEX = null;   // built across all runs when the namesake panel opens
+let SEARCH_INDEX = null;     // { cacheKey, index } for the loaded run, see getSearchIndex
+let SEARCH_HIT_POS = -1;     // highlighted hit the search navigation is on
+const RUN_DATA_CACHE = new Map(); // runId -> Promise<{ fileEvents, meta, problems }>
+const TIMELINE_CARDS = new Map(); // event object -> rendered card (ids may repeat), see applyTimelineFilters
+const POKEMON_SLUGS = new WeakMap(); // event -> Map<nickname, biography slug>, see indexPokemonSlugs
+const COLLAPSED_KEY_PREFIX = "nuz_timeline_collapsed:"; // legacy, migrated into the preferences store
+const WATCHED_KEY_PREFIX = "nuz_watched_upto:";         // legacy, migrated into the preferences store
+const EDITOR_DRAFT_KEY_PREFIX = "nuz_editor_draft:";
 
 /* ============================
    Helpers
@@ -27,15 +42,17 @@ function speciesToFilename(name) {
   if (!name) return null;
   return String(name).toLowerCase().trim().replace(/['’]/g, "").replace(/\s+/g, "-").replace(/[^a-z0-9\-]/g, "");
 }
-function spriteUrlFor(species) {
+function spriteUrlFor(species, set = null) {
   const filename = speciesToFilename(species);
   if (!filename) return null;
-  return `${SPRITES_PATH}${filename}.png`;
+  // sprites/manifest.json knows aliases, forms and alternate sets; anything unlisted is a guess
+  return resolveSprite(species, set)?.url || `${SPRITES_PATH}${filename}.png`;
 }
 function badgeUrlFor(name) {
   const filename = speciesToFilename(name);
   if (!filename) return null;
-  return `${BADGES_PATH}${filename}.png`;
+  const gym = gymForBadge(name);
+  return `${BADGES_PATH}${gym?.image || filename + ".png"}`;
 }
 function setSvgPlaceholder(imgEl, label) {
   const short = (label || "").slice(0, 3).toUpperCase();
@@ -54,17 +71,34 @@ function attachPlaceholderOnErrorOrNull(imgEl, label, url) {
   };
 }
 
+// small helper: species + gender icon fragment (icon placed BEFORE species)
+function makeSpeciesFragment(speciesText, genderRaw) {
+  const frag = document.createDocumentFragment();
+  if (speciesText == null) speciesText = "";
+
+  const g = (typeof genderRaw === "string") ? genderRaw.trim().toLowerCase() : "";
+  const isFemale = (g === "f" || g === "female");
+  const isMale = (g === "m" || g === "male");
+
+  if (isFemale || isMale) {
+    const icon = document.createElement("span");
+    icon.className = "gender-icon " + (isFemale ? "female" : "male");
+    icon.setAttribute("aria-hidden", "true");
+    icon.textContent = isFemale ? "♀" : "♂";
+    icon.title = isFemale ? "Female" : "Male";
+    frag.appendChild(icon);
+    frag.appendChild(document.createTextNode(" "));
+  }
+  frag.appendChild(document.createTextNode(speciesText));
+  return frag;
+}
+
 function createNoEventElement(ev = {}) {
   // ev.message (string) recommended; optional ev.note or ev.episode
   const wrapper = document.createElement("article");
   wrapper.className = "event no-event type-note";
-  // keep consistent float placement (put center by treating as full width-ish)
-  wrapper.style.width = "100%";
-  wrapper.style.display = "flex";
-  wrapper.style.justifyContent = "center";
-  wrapper.style.padding = "0";
-  wrapper.style.background = "transparent";
-  wrapper.style.boxShadow = "none";
+  if (ev.id) wrapper.dataset.id = ev.id;
+  // full-width, centered row (see .event.no-event in style.css)
 
   const card = document.createElement("div");
   card.className = "no-event-card";
@@ -80,10 +114,7 @@ function createNoEventElement(ev = {}) {
   // optional small note below
   if (ev.note) {
     const note = document.createElement("div");
-    note.className = "item-notes";
-    note.style.marginTop = "8px";
-    note.style.fontStyle = "normal";
-    note.style.fontSize = "0.92rem";
+    note.className = "item-notes no-event-note";
     note.textContent = ev.note;
     card.appendChild(note);
   }
@@ -91,11 +122,12 @@ function createNoEventElement(ev = {}) {
   // optional link to episode (if ev.video?.url exists)
   if (ev.video && ev.video.url) {
     const linkRow = document.createElement("div");
-    linkRow.style.marginTop = "8px";
+    linkRow.className = "no-event-link";
     const a = document.createElement("a");
     a.href = ev.video.url;
     a.target = "_blank";
     a.rel = "noopener";
+    a.className = "video-link"; // opens in the docked player when embedding works
     a.textContent = "Watch episode";
     a.addEventListener("click", (e) => e.stopPropagation()); // avoid toggling parent banner
     linkRow.appendChild(a);
@@ -106,6 +138,47 @@ function createNoEventElement(ev = {}) {
   return wrapper;
 }
 
+/* copy a link (or other text) to the clipboard, flashing ✓ on the button (prompt fallback) */
+function copyLinkWithFeedback(btn, url, { done = "✓", what = "link" } = {}) {
+  const fallback = () => {
+    try { window.prompt(`Copy ${what} (Ctrl+C / Cmd+C):`, url); } catch (err) { alert(`Copy this ${what}: ` + url); }
+  };
+  if (navigator.clipboard?.writeText) {
+    navigator.clipboard.writeText(url).then(() => {
+      const prev = btn.textContent;
+      btn.textContent = done;
+      setTimeout(() => btn.textContent = prev, 1200);
+    }).catch(fallback);
+  } else {
+    fallback();
+  }
+}
+
+/* save text as a file through a temporary download link */
+function downloadTextFile(filename, text) {
+  const blob = new Blob([text], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+/* full-width "Run Ended" banner for run_end events */
+function createRunEndElement(ev) {
+  const endBanner = document.createElement("div");
+  endBanner.className = "run-end-banner";
+  if (ev.id) endBanner.dataset.id = ev.id;
+  const parts = [];
+  if (ev.episode !== undefined) parts.push(`Episode ${ev.episode}`);
+  if (ev.date) parts.push(ev.date);
+  const note = ev.notes ? ` — ${ev.notes}` : "";
+  endBanner.textContent = `Run Ended${parts.length ? " — " + parts.join(" • ") : ""}${note}`;
+  return endBanner;
+}
+
 /* fetch helper */
 async function fetchJson(path) {
   try {
@@ -122,34 +195,396 @@ async function fetchJson(path) {
 }
 
 /* ============================
-   Collapsed localStorage map
+   Preferences store (versioned; per run + global)
    ============================ */
-function loadCollapsedMap(runId) {
+/**
+ * Everything the site remembers about a visitor lives in one localStorage document:
+ *   { version, global: { theme, density, filterPresets }, runs: { <runId>: { collapsed, lastEpisode, watchedUpTo, seen } } }
+ * Older per-key storage (nuz_timeline_collapsed:<run>, nuz_watched_upto:<run>) is folded in on first load.
+ */
+const PREFS_KEY = "nuz_prefs";
+const PREFS_VERSION = 1;
+const PREFS_GLOBAL_DEFAULTS = { theme: "auto", density: "comfortable", filterPresets: [] };
+const PREFS_RUN_DEFAULTS = { collapsed: null, lastEpisode: null, watchedUpTo: null, seen: null };
+const LEGACY_PREF_KEYS = [
+  { prefix: COLLAPSED_KEY_PREFIX, field: "collapsed", parse: (raw) => { const arr = JSON.parse(raw); return Array.isArray(arr) ? arr.map(Number).filter(Number.isFinite) : null; } },
+  { prefix: WATCHED_KEY_PREFIX, field: "watchedUpTo", parse: (raw) => parseWatchedValue(raw) }
+];
+let PREFS = null;
+
+/* Brings any stored/imported document up to PREFS_VERSION (unversioned = before the store existed) */
+function migratePrefs(doc) {
+  const src = (doc && typeof doc === "object" && !Array.isArray(doc)) ? doc : {};
+  if (Number.isInteger(src.version) && src.version > PREFS_VERSION) {
+    console.warn(`Preferences are from a newer version (${src.version}); unknown settings are kept as-is.`);
+  }
+  const prefs = {
+    version: Math.max(PREFS_VERSION, Number.isInteger(src.version) ? src.version : 0),
+    global: { ...PREFS_GLOBAL_DEFAULTS, ...(src.global && typeof src.global === "object" ? src.global : {}) },
+    runs: {}
+  };
+  if (!Array.isArray(prefs.global.filterPresets)) prefs.global.filterPresets = [];
+  for (const [runId, run] of Object.entries(src.runs && typeof src.runs === "object" ? src.runs : {})) {
+    if (run && typeof run === "object") prefs.runs[runId] = { ...PREFS_RUN_DEFAULTS, ...run };
+  }
+  return prefs;
+}
+
+/* Moves the old one-key-per-setting entries into prefs and removes them */
+function absorbLegacyPrefs(prefs) {
+  let changed = false;
+  for (let i = localStorage.length - 1; i >= 0; i--) {
+    const key = localStorage.key(i);
+    const legacy = LEGACY_PREF_KEYS.find(l => key && key.startsWith(l.prefix));
+    if (!legacy) continue;
+    const runId = key.substring(legacy.prefix.length);
+    try {
+      const value = legacy.parse(localStorage.getItem(key));
+      if (!prefs.runs[runId]) prefs.runs[runId] = { ...PREFS_RUN_DEFAULTS };
+      if (prefs.runs[runId][legacy.field] === null) prefs.runs[runId][legacy.field] = value;
+    } catch (e) {
+      console.warn(`Dropping unreadable legacy preference ${key}:`, e);
+    }
+    localStorage.removeItem(key);
+    changed = true;
+  }
+  return changed;
+}
+
+function loadPrefs() {
+  if (PREFS) return PREFS;
   try {
-    const raw = localStorage.getItem(COLLAPSED_KEY_PREFIX + runId);
-    if (!raw) return new Set();
-    const arr = JSON.parse(raw);
-    if (!Array.isArray(arr)) return new Set();
-    return new Set(arr.map(x => Number(x)));
+    const raw = localStorage.getItem(PREFS_KEY);
+    PREFS = migratePrefs(raw ? JSON.parse(raw) : null);
+    if (absorbLegacyPrefs(PREFS) || !raw) savePrefs();
   } catch (e) {
-    console.warn("Failed to load collapsed map:", e);
-    return new Set();
+    console.warn("Failed to load preferences:", e);
+    PREFS = migratePrefs(null);
   }
+  return PREFS;
 }
-function saveCollapsedMap(runId, set) {
+function savePrefs() {
   try {
-    const arr = Array.from(set.values());
-    localStorage.setItem(COLLAPSED_KEY_PREFIX + runId, JSON.stringify(arr));
+    localStorage.setItem(PREFS_KEY, JSON.stringify(loadPrefs()));
   } catch (e) {
-    console.warn("Failed to save collapsed map:", e);
+    console.warn("Failed to save preferences:", e);
   }
 }
+
+function getRunPref(runId, key) {
+  const run = loadPrefs().runs[runId];
+  return run && run[key] !== undefined ? run[key] : PREFS_RUN_DEFAULTS[key];
+}
+function setRunPref(runId, key, value) {
+  const prefs = loadPrefs();
+  if (!prefs.runs[runId]) prefs.runs[runId] = { ...PREFS_RUN_DEFAULTS };
+  prefs.runs[runId][key] = value;
+  savePrefs();
+}
+function getGlobalPref(key) {
+  const value = loadPrefs().global[key];
+  return value !== undefined ? value : PREFS_GLOBAL_DEFAULTS[key];
+}
+function setGlobalPref(key, value) {
+  loadPrefs().global[key] = value;
+  savePrefs();
+}
+
+/* Collapsed episodes (null in the store = the visitor hasn't touched any yet) */
+function loadCollapsedMap(runId) {
+  const arr = getRunPref(runId, "collapsed");
+  return new Set(Array.isArray(arr) ? arr.map(x => Number(x)) : []);
+}
+function saveCollapsedMap(runId, set) {
+  setRunPref(runId, "collapsed", Array.from(set.values()));
+}
 function clearCollapsedMap(runId) {
+  setRunPref(runId, "collapsed", null);
+}
+function hasCollapsedMap(runId) {
+  return Array.isArray(getRunPref(runId, "collapsed"));
+}
+
+function exportPrefs() {
+  downloadTextFile("nuzlocke-timeline-preferences.json", JSON.stringify(loadPrefs(), null, 2));
+}
+
+/* Replaces the stored preferences with an exported file; returns an error message or null */
+function importPrefs(text) {
+  let doc;
   try {
-    localStorage.removeItem(COLLAPSED_KEY_PREFIX + runId);
+    doc = JSON.parse(text);
   } catch (e) {
-    console.warn("Failed to clear collapsed map:", e);
+    return "That file isn't valid JSON.";
+  }
+  if (!doc || typeof doc !== "object" || Array.isArray(doc) || (!doc.global && !doc.runs)) {
+    return "That file doesn't look like exported timeline preferences.";
+  }
+  PREFS = migratePrefs(doc);
+  savePrefs();
+  return null;
+}
+
+/* Density and the resolved theme are applied as attributes on <html> */
+function applyDisplayPrefs() {
+  const root = document.documentElement;
+  root.dataset.density = getGlobalPref("density");
+  root.dataset.theme = resolveTheme(getGlobalPref("theme"));
+  updateThemeToggle();
+}
+
+function initPreferences(onImported) {
+  applyDisplayPrefs();
+  const btn = document.getElementById("prefs-toggle");
+  const panel = document.getElementById("prefs");
+  const status = document.getElementById("prefs-status");
+  if (!btn || !panel) return;
+  const density = document.getElementById("prefs-density");
+  const say = (msg) => { if (status) status.textContent = msg; };
+
+  btn.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    btn.setAttribute("aria-expanded", panel.hidden ? "false" : "true");
+    if (density) density.value = getGlobalPref("density");
+    say("");
+  });
+  density?.addEventListener("change", () => {
+    setGlobalPref("density", density.value);
+    applyDisplayPrefs();
+  });
+  document.getElementById("prefs-export")?.addEventListener("click", exportPrefs);
+  const file = document.getElementById("prefs-import");
+  file?.addEventListener("change", async () => {
+    const f = file.files && file.files[0];
+    if (!f) return;
+    const error = importPrefs(await f.text());
+    file.value = "";
+    if (error) return say(error);
+    applyDisplayPrefs();
+    if (density) density.value = getGlobalPref("density");
+    renderFilterPresets();
+    say("Preferences imported.");
+    onImported();
+  });
+  document.getElementById("prefs-reset")?.addEventListener("click", () => {
+    if (!confirm("Forget collapsed episodes, watched progress, filter presets and display settings?")) return;
+    PREFS = migratePrefs(null);
+    savePrefs();
+    applyDisplayPrefs();
+    if (density) density.value = getGlobalPref("density");
+    renderFilterPresets();
+    say("Preferences reset.");
+    onImported();
+  });
+}
+
+/* ============================
+   Themes
+   ============================ */
+/*
+ * The "theme" preference is auto | light | dark | contrast; "auto" follows the OS
+ * (prefers-contrast, then prefers-color-scheme). style.css only ever sees the resolved name.
+ * A run's meta.json may add { "theme": { "type": "fire" } } or explicit
+ * { "primary", "secondary", "accent" } hex colors; the dark theme tones them down and
+ * high contrast ignores them.
+ */
+const THEME_SETTINGS = ["auto", "light", "dark", "contrast"];
+const THEME_LABELS = { auto: "Auto", light: "Light", dark: "Dark", contrast: "High contrast" };
+const THEME_COLOR_KEYS = ["primary", "secondary", "accent"];
+const TYPE_PALETTES = {
+  normal:   { primary: "#c8c4a8", secondary: "#e0dcc8", accent: "#a8a878" },
+  fire:     { primary: "#ff9c54", secondary: "#ffc38a", accent: "#e8603c" },
+  water:    { primary: "#6cb4f0", secondary: "#a8d4f8", accent: "#4f86d6" },
+  grass:    { primary: "#7fd36a", secondary: "#b6e6a4", accent: "#4fa24a" },
+  electric: { primary: "#f8d84c", secondary: "#fbe98e", accent: "#e0a82c" },
+  ice:      { primary: "#8ed8d8", secondary: "#c2eeee", accent: "#5fb4c4" },
+  fighting: { primary: "#e0705c", secondary: "#f0a898", accent: "#b8403a" },
+  poison:   { primary: "#c07ed0", secondary: "#dcb0e4", accent: "#9450a8" },
+  ground:   { primary: "#e4c47c", secondary: "#f0dcaa", accent: "#b89248" },
+  flying:   { primary: "#a8b8f8", secondary: "#d0dafc", accent: "#7c8ee0" },
+  psychic:  { primary: "#f88cb0", secondary: "#fcbed2", accent: "#e0567e" },
+  bug:      { primary: "#b8d04c", secondary: "#d8e690", accent: "#8ca42c" },
+  rock:     { primary: "#cfba6c", secondary: "#e4d8a4", accent: "#a08c40" },
+  ghost:    { primary: "#9c88c8", secondary: "#c6b8e2", accent: "#6c5aa0" },
+  dragon:   { primary: "#8c78f4", secondary: "#bcb0fa", accent: "#6048d8" },
+  dark:     { primary: "#a08c7c", secondary: "#c8baae", accent: "#6e5a4c" },
+  steel:    { primary: "#bcc4d4", secondary: "#dce0ea", accent: "#8890a8" },
+  fairy:    { primary: "#f4a8d8", secondary: "#f9d0ea", accent: "#d870b0" }
+};
+
+function resolveTheme(setting) {
+  if (setting === "light" || setting === "dark" || setting === "contrast") return setting;
+  if (!window.matchMedia) return "light";
+  if (window.matchMedia("(prefers-contrast: more)").matches) return "contrast";
+  return window.matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light";
+}
+
+function updateThemeToggle() {
+  const btn = document.getElementById("theme-toggle");
+  if (!btn) return;
+  const setting = getGlobalPref("theme");
+  const label = THEME_LABELS[setting] || THEME_LABELS.auto;
+  btn.textContent = `Theme: ${label}`;
+  btn.title = setting === "auto" ? `Following your system (${THEME_LABELS[resolveTheme("auto")]}) — click to change` : "Click to change the theme";
+}
+
+/* Cycles auto -> light -> dark -> high contrast -> auto */
+function cycleTheme() {
+  const i = THEME_SETTINGS.indexOf(getGlobalPref("theme"));
+  setGlobalPref("theme", THEME_SETTINGS[(i + 1) % THEME_SETTINGS.length]);
+  applyDisplayPrefs();
+}
+
+/* meta.theme -> { primary, secondary, accent } (missing colors fall back to the site defaults) */
+function runThemePalette(meta) {
+  const theme = meta?.theme;
+  if (!theme || typeof theme !== "object") return {};
+  const base = TYPE_PALETTES[String(theme.type || "").toLowerCase()] || {};
+  const palette = { ...base };
+  for (const key of THEME_COLOR_KEYS) {
+    if (typeof theme[key] === "string" && isHexColor(theme[key])) palette[key] = theme[key];
+  }
+  return palette;
+}
+function isHexColor(v) {
+  return /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(String(v).trim());
+}
+
+/* Sets (or clears) the --run-* custom properties the palette variables in style.css read */
+function applyRunTheme(meta) {
+  const root = document.documentElement;
+  const palette = runThemePalette(meta);
+  for (const key of THEME_COLOR_KEYS) {
+    if (palette[key]) root.style.setProperty(`--run-${key}`, palette[key]);
+    else root.style.removeProperty(`--run-${key}`);
+  }
+}
+
+function initThemes() {
+  document.getElementById("theme-toggle")?.addEventListener("click", cycleTheme);
+  // keep "auto" in step with the OS setting while the page is open
+  if (!window.matchMedia) return;
+  for (const query of ["(prefers-color-scheme: dark)", "(prefers-contrast: more)"]) {
+    window.matchMedia(query).addEventListener?.("change", () => {
+      if (getGlobalPref("theme") === "auto") applyDisplayPrefs();
+    });
+  }
+}
+
+/* ============================
+   Spoiler guard ("watched up to episode N")
+   ============================ */
+function parseWatchedValue(v) {
+  if (v === null || v === undefined || String(v).trim() === "") return null;
+  const n = Number(v);
+  return (Number.isInteger(n) && n >= 0) ? n : null;
+}
+
+// { runId, upTo } from a shared ?watched=N link; applies to this page view only, never saved
+let URL_WATCHED = null;
+
+/* null = guard off (show everything) */
+function getWatchedUpTo(runId) {
+  if (URL_WATCHED && URL_WATCHED.runId === runId) return URL_WATCHED.upTo;
+  return parseWatchedValue(getRunPref(runId, "watchedUpTo"));
+}
+function saveWatchedUpTo(runId, upTo) {
+  setRunPref(runId, "watchedUpTo", upTo);
+}
+
+/* A shared link with ?watched=N (or #…?watched=N) guards the run it opens without touching the saved setting */
+function adoptWatchedFromUrl(runId) {
+  const { params } = parseHashAnchorAndParams();
+  if (!params.has("watched")) return;
+  const raw = params.get("watched");
+  URL_WATCHED = { runId, upTo: raw === "all" ? null : parseWatchedValue(raw) };
+}
+
+/* Picking a guard yourself ends the shared link's one: drop ?watched= so copied links don't carry it */
+function clearUrlWatched() {
+  URL_WATCHED = null;
+  const url = new URL(location);
+  if (!url.searchParams.has("watched")) return;
+  url.searchParams.delete("watched");
+  history.replaceState(null, "", url.toString());
+}
+
+function isAfterWatched(ev, upTo) {
+  if (upTo === null || !ev || typeof ev !== "object") return false;
+  const ep = Number(ev.episode);
+  return ev.episode !== undefined && ev.episode !== null && !Number.isNaN(ep) && ep > upTo;
+}
+
+/* Drops everything after the watched episode; events without an episode number stay */
+function applySpoilerGuard(events, upTo) {
+  if (upTo === null || !Array.isArray(events)) return events;
+  return events.filter(ev => !isAfterWatched(ev, upTo));
+}
+
+function populateWatchedSelector(allEvents, meta, upTo) {
+  const sel = document.getElementById("watched-upto");
+  if (!sel) return;
+  const episodes = new Set();
+  for (const ev of allEvents || []) {
+    const ep = Number(ev?.episode);
+    if (ev?.episode !== undefined && Number.isInteger(ep)) episodes.add(ep);
+  }
+  for (const ep of metaEpisodeNumbers(meta)) episodes.add(ep);
+  if (upTo !== null) episodes.add(upTo);
+
+  sel.innerHTML = "";
+  const off = document.createElement("option");
+  off.value = "";
+  off.textContent = "Everything (no spoiler guard)";
+  sel.appendChild(off);
+  for (const ep of Array.from(episodes).sort((a, b) => a - b)) {
+    const opt = document.createElement("option");
+    opt.value = String(ep);
+    opt.textContent = `Episode ${ep}`;
+    sel.appendChild(opt);
   }
+  sel.value = upTo === null ? "" : String(upTo);
+}
+
+/* Appended to the timeline when the guard hides later episodes */
+function renderSpoilerGuardNotice(hiddenEpisodes, upTo) {
+  const container = document.getElementById("timeline");
+  if (!container || upTo === null || hiddenEpisodes.length === 0) return;
+  const runKey = CURRENT_RUN_ID || DEFAULT_RUN_ID;
+
+  const notice = document.createElement("div");
+  notice.className = "spoiler-guard-notice";
+  const text = document.createElement("p");
+  const n = hiddenEpisodes.length;
+  text.textContent = `Spoiler guard: showing episodes up to ${upTo}. ${n} later episode${n === 1 ? " is" : "s are"} hidden.`;
+  notice.appendChild(text);
+
+  const actions = document.createElement("div");
+  actions.className = "spoiler-guard-actions";
+  const next = document.createElement("button");
+  next.className = "small-control";
+  next.textContent = `I've watched episode ${hiddenEpisodes[0]}`;
+  next.addEventListener("click", () => setWatchedUpTo(runKey, hiddenEpisodes[0]));
+  actions.appendChild(next);
+  const all = document.createElement("button");
+  all.className = "small-control";
+  all.textContent = "Show everything";
+  all.addEventListener("click", () => setWatchedUpTo(runKey, null));
+  actions.appendChild(all);
+  notice.appendChild(actions);
+
+  container.appendChild(notice);
+}
+
+function setWatchedUpTo(runId, upTo) {
+  clearUrlWatched();
+  saveWatchedUpTo(runId, upTo);
+  loadAndDisplayRun(runId);
+}
+
+function initSpoilerGuard() {
+  const sel = document.getElementById("watched-upto");
+  sel?.addEventListener("change", () => setWatchedUpTo(CURRENT_RUN_ID || DEFAULT_RUN_ID, parseWatchedValue(sel.value)));
 }
 
 /* ============================
@@ -173,14 +608,19 @@ function populateRunSelector(runs) {
     sel.appendChild(opt);
   }
 }
-async function fetchRunEvents(runId) {
+async function fetchRunEvents(runId, problems) {
   const path = `${RUNS_BASE_PATH}${runId}/events.json`;
   const data = await fetchJson(path);
   if (!data) {
-    console.warn("No events found for", runId, path);
+    if (problems) problems.push({ level: "error", file: "events.json", message: `No events could be loaded from ${path}.` });
+    else console.warn("No events found for", runId, path);
+    return [];
+  }
+  if (!Array.isArray(data)) {
+    if (problems) problems.push({ level: "error", file: "events.json", message: "events.json must contain a JSON array of events." });
     return [];
   }
-  return Array.isArray(data) ? data : [];
+  return data;
 }
 async function fetchRunMeta(runId) {
   const path = `${RUNS_BASE_PATH}${runId}/meta.json`;
@@ -189,993 +629,5254 @@ async function fetchRunMeta(runId) {
 }
 
 /* ============================
-   Create DOM for an event
+   Event schema & validation
    ============================ */
-function createEventElement(ev) {
-  const wrapper = document.createElement("article");
-  wrapper.className = "event " + ((ev.side === "right") ? "right" : "left");
-  if (ev.id) wrapper.dataset.id = ev.id;
-
-  const type = (ev.type || "").toLowerCase();
-  if (type) wrapper.classList.add(`type-${type}`);
-  if (type === "fainted") wrapper.classList.add("fainted");
-
- // Determine failed / illegal flags (flexible checks, backwards-compatible)
-  const isFailed = Boolean(
-    ev.failed === true ||
-    (ev.flags && ev.flags.failed === true) ||
-    (type === "failed") ||
-    ev.failedEncounter === true ||
-    (ev.pokemon && ev.pokemon.failed === true)
-  );
-
-  const isIllegal = Boolean(
-    ev.illegal === true ||
-    (ev.flags && ev.flags.illegal === true) ||
-    (type === "illegal") ||
-    ev.illegalEncounter === true ||
-    (ev.pokemon && ev.pokemon.illegal === true)
-  );
-
-  // Priority: failed wins over illegal (change if you want opposite)
-  if (isFailed) {
-    wrapper.classList.add("failed");
-  } else if (isIllegal) {
-    wrapper.classList.add("illegal");
-  }
-
-  // Header
-  const header = document.createElement("div");
-  header.className = "event-header";
-  const level = ev.pokemon?.level ?? ev.level;
-  if (type === "caught") {
-    if (isFailed) {
-      header.textContent = level ? `Failed to catch (Level ${level})` : "Failed to catch";
-  }   else {
-        header.textContent = level ? `Caught at Level ${level}` : "Caught";
-      }
-  }
-  else if (type === "fainted") header.textContent = "Fainted";
-  else if (type === "evolved" || type === "evolution") header.textContent = level ? `Evolved at Level ${level}` : "Evolved";
-  else if (type === "badge") header.textContent = "Badge earned";
-  else header.textContent = ev.type ? capitalize(ev.type) : "Event";
-
-  // If illegal and no special ribbon/special label planned, set the illegal ribbon now.
-  // (We check ev.special — if markSpecialEvent runs later it may override. This preserves
-  // illegal ribbon only when there's no other special label.)
-    // If failed (highest priority) -> show Failed ribbon unless event has explicit special label
-  if (isFailed && !ev.special) {
-    header.setAttribute("data-ribbon", "Failed Encounter");
-  }
-  // Otherwise if illegal (and no special) -> show Illegal ribbon
-  else if (isIllegal && !ev.special) {
-    header.setAttribute("data-ribbon", "Illegal Encounter");
-  }
-  wrapper.appendChild(header);
+// Legacy type spellings the renderer still accepts -> canonical type
+const EVENT_TYPE_ALIASES = {
+  evolution: "evolved",
+  gym: "badge",
+  note: "no_event",
+  minor: "no_event",
+  runended: "run_end",
+  run_ended: "run_end",
+  end: "run_end"
+};
+
+// Fields every event must carry
+const EVENT_COMMON_REQUIRED = ["id", "type", "episode", "date"];
+// "e001", "e042", ... "e1234" (no extra leading zeros)
+const EVENT_ID_PATTERN = /^e(\d{3}|[1-9]\d{3,})$/;
+
+// Alias fields createEventElement/createGymElement still guess from -> schema field to use instead
+const EVENT_LEGACY_FIELDS = {
+  "obtained": "location",
+  "obtainedVia": "location",
+  "method": "location",
+  "fromLocation": "location",
+  "badgeName": "badge",
+  "species": "pokemon.species",
+  "nickname": "pokemon.nickname",
+  "level": "pokemon.level",
+  "pokemon.from": "from",
+  "pokemon.before": "from",
+  "pokemon.to": "to",
+  "pokemon.after": "to",
+  "videoUrl": "video.url",
+  "timeUrl": "video.url"
+};
+
+function normalizeEventType(type) {
+  const t = String(type || "").toLowerCase();
+  return EVENT_TYPE_ALIASES[t] || t;
+}
+function getPath(obj, path) {
+  return path.split(".").reduce((cur, key) => (cur == null ? undefined : cur[key]), obj);
+}
+function isBlank(v) {
+  return v === undefined || v === null || (typeof v === "string" && v.trim() === "");
+}
+// flexible, backwards-compatible checks (older files use type "failed" / "illegal")
+function isFailedEvent(ev) {
+  return Boolean(ev.failed === true || ev.flags?.failed === true || String(ev.type || "").toLowerCase() === "failed" || ev.failedEncounter === true || ev.pokemon?.failed === true);
+}
+function isIllegalEvent(ev) {
+  return Boolean(ev.illegal === true || ev.flags?.illegal === true || String(ev.type || "").toLowerCase() === "illegal" || ev.illegalEncounter === true || ev.pokemon?.illegal === true);
+}
+function compareEventsByTime(a, b) {
+  const ea = a.episode ?? 0;
+  const eb = b.episode ?? 0;
+  if (ea !== eb) return ea - eb;
+  const ta = a.timestamp || "";
+  const tb = b.timestamp || "";
+  return ta.localeCompare(tb, undefined, {numeric:true});
+}
 
-  // Body
-  const body = document.createElement("div");
-  body.className = "event-body";
+/**
+ * validateRunEvents(events)
+ * Checks every event against its type's registered schema plus a few cross-event rules
+ * (duplicate ids, evolutions/faints that don't match the living team).
+ * Returns a list of { level: "error"|"warning", file, id, episode, message }.
+ */
+function validateRunEvents(events) {
+  const problems = [];
+  if (!Array.isArray(events)) return problems;
+  const report = (level, ev, message) => problems.push({
+    level,
+    file: "events.json",
+    id: ev?.id ?? null,
+    episode: ev?.episode ?? null,
+    message
+  });
 
-  const visual = document.createElement("div");
-  visual.className = "visual";
+  const seenIds = new Map();
+  events.forEach((ev, idx) => {
+    if (!ev || typeof ev !== "object" || Array.isArray(ev)) {
+      report("error", null, `Entry #${idx + 1} is not an event object.`);
+      return;
+    }
 
-  // Visual content (sprite / badge / evolution preview)
-  if (type === "evolved" || type === "evolution") {
-    const fromName = ev.from || ev.pokemon?.from || ev.pokemon?.before || ev.pokemon?.species || "";
-    const toName = ev.to || ev.pokemon?.to || ev.pokemon?.after || ev.pokemon?.species || "";
-    const leftImg = document.createElement("img");
-    leftImg.className = "sprite";
-    leftImg.alt = fromName || "before";
-    const leftUrl = spriteUrlFor(fromName);
-    if (leftUrl) leftImg.src = leftUrl;
-    attachPlaceholderOnErrorOrNull(leftImg, fromName, leftUrl);
-
-    const rightImg = document.createElement("img");
-    rightImg.className = "sprite";
-    rightImg.alt = toName || "after";
-    const rightUrl = spriteUrlFor(toName);
-    if (rightUrl) rightImg.src = rightUrl;
-    attachPlaceholderOnErrorOrNull(rightImg, toName, rightUrl);
+    for (const field of EVENT_COMMON_REQUIRED) {
+      if (isBlank(ev[field])) report("error", ev, `Missing required field "${field}".`);
+    }
 
-    const evoRow = document.createElement("div");
-    evoRow.className = "evolution-row";
-    evoRow.appendChild(leftImg);
-    const arrow = document.createElement("div");
-    arrow.className = "evolve-arrow";
-    arrow.textContent = "➡";
-    evoRow.appendChild(arrow);
-    evoRow.appendChild(rightImg);
-    visual.appendChild(evoRow);
+    if (!isBlank(ev.id)) {
+      if (typeof ev.id !== "string") report("error", ev, `"id" must be a string.`);
+      else if (!EVENT_ID_PATTERN.test(ev.id)) report("warning", ev, `Id "${ev.id}" doesn't follow the "e001" pattern.`);
+      if (seenIds.has(ev.id)) report("error", ev, `Duplicate id (also used by entry #${seenIds.get(ev.id) + 1}).`);
+      else seenIds.set(ev.id, idx);
+    }
 
-  } else if (type === "badge") {
-    const badgeName = ev.badge || ev.badgeName || ev.name || ev.notes || "badge";
-    const badgeImg = document.createElement("img");
-    badgeImg.className = "badge-icon";
-    badgeImg.alt = badgeName;
-    const bUrl = badgeUrlFor(badgeName);
-    if (bUrl) badgeImg.src = bUrl;
-    attachPlaceholderOnErrorOrNull(badgeImg, badgeName, bUrl);
-    visual.appendChild(badgeImg);
+    if (!isBlank(ev.episode) && !(Number.isInteger(ev.episode) && ev.episode >= 0)) {
+      report("error", ev, `"episode" must be a whole number, got ${JSON.stringify(ev.episode)}.`);
+    }
+    if (!isBlank(ev.date) && (!/^\d{4}-\d{2}-\d{2}$/.test(ev.date) || Number.isNaN(Date.parse(ev.date)))) {
+      report("warning", ev, `"date" should be YYYY-MM-DD, got "${ev.date}".`);
+    }
+    if (!isBlank(ev.timestamp) && !/^\d{2}:\d{2}:\d{2}$/.test(ev.timestamp)) {
+      report("warning", ev, `"timestamp" should be HH:MM:SS, got "${ev.timestamp}".`);
+    }
+    if (ev.side !== undefined && ev.side !== "left" && ev.side !== "right") {
+      report("warning", ev, `"side" should be "left" or "right", got "${ev.side}".`);
+    }
+    if (ev.video !== undefined && typeof ev.video?.url !== "string") {
+      report("warning", ev, `"video" should be an object with a "url" string.`);
+    }
+    const level = ev.pokemon?.level;
+    if (level !== undefined && level !== "???" && !(Number.isInteger(level) && level > 0)) {
+      report("warning", ev, `"pokemon.level" should be a positive number (or "???"), got ${JSON.stringify(level)}.`);
+    }
+    validatePokemonDetails(ev.pokemon, (message) => report("warning", ev, message));
+    if (hasAbilityNote(ev)) {
+      report("warning", ev, `The notes mention an ability; move it to "pokemon.ability" (editor: "Move abilities out of notes").`);
+    }
 
-  } else {
-    const speciesName = ev.pokemon?.species || ev.species || "";
-    const spriteImg = document.createElement("img");
-    spriteImg.className = "sprite";
-    spriteImg.alt = speciesName || "pokemon";
-    const sUrl = spriteUrlFor(speciesName);
-    if (sUrl) spriteImg.src = sUrl;
-    attachPlaceholderOnErrorOrNull(spriteImg, speciesName, sUrl);
-    visual.appendChild(spriteImg);
-  }
+    for (const [legacy, preferred] of Object.entries(EVENT_LEGACY_FIELDS)) {
+      if (getPath(ev, legacy) !== undefined) report("warning", ev, `Uses legacy field "${legacy}"; use "${preferred}" instead.`);
+    }
 
-  // Text column
-  const text = document.createElement("div");
-  text.className = "item-body";
+    if (isBlank(ev.type)) return;
+    const type = normalizeEventType(ev.type);
+    const schema = eventTypeSpec(type).schema;
+    if (!schema) {
+      report("error", ev, `Unknown event type "${ev.type}".`);
+      return;
+    }
+    if (type !== String(ev.type).toLowerCase()) report("warning", ev, `Type "${ev.type}" is a legacy spelling of "${type}".`);
 
-  function createNoEventElement(ev = {}) {
-  // ev.message (string) recommended; optional ev.note or ev.episode
-  const wrapper = document.createElement("article");
-  wrapper.className = "event no-event type-note";
-  // keep consistent float placement (put center by treating as full width-ish)
-  wrapper.style.width = "100%";
-  wrapper.style.display = "flex";
-  wrapper.style.justifyContent = "center";
-  wrapper.style.padding = "0";
-  wrapper.style.background = "transparent";
-  wrapper.style.boxShadow = "none";
+    for (const field of schema.required) {
+      if (isBlank(getPath(ev, field))) report("error", ev, `Missing required field "${field}" for a ${type} event.`);
+    }
+    const failed = isFailedEvent(ev);
+    for (const field of schema.recommended) {
+      // failed catches never get a nickname
+      if (failed && field === "pokemon.nickname") continue;
+      if (isBlank(getPath(ev, field))) report("warning", ev, `Missing "${field}".`);
+    }
 
-  const card = document.createElement("div");
-  card.className = "no-event-card";
-  card.setAttribute("role", "status");
-  card.setAttribute("aria-live", "polite");
+    if (EVENT_TYPES[type]?.team && ev.pokemons !== undefined) {
+      if (!Array.isArray(ev.pokemons)) report("error", ev, `"pokemons" must be an array.`);
+      else ev.pokemons.forEach((p, i) => {
+        if (isBlank(p?.species)) report("error", ev, `pokemons[${i}] is missing "species".`);
+      });
+    }
+    EVENT_TYPES[type]?.validate?.(ev, (message) => report("warning", ev, message));
+  });
 
-  // message (primary)
-  const msg = document.createElement("div");
-  msg.className = "no-event-message";
-  msg.textContent = ev.message || "No major events in this episode.";
-  card.appendChild(msg);
+  validateTeamConsistency(events, report);
+  return problems;
+}
 
-  // optional small note below
-  if (ev.note) {
-    const note = document.createElement("div");
-    note.className = "item-notes";
-    note.style.marginTop = "8px";
-    note.style.fontStyle = "normal";
-    note.style.fontSize = "0.92rem";
-    note.textContent = ev.note;
-    card.appendChild(note);
-  }
+/* Replay the run in order and check faints/evolutions against who is actually alive */
+function validateTeamConsistency(events, report) {
+  buildRoster(events, report);
 
-  // optional link to episode (if ev.video?.url exists)
-  if (ev.video && ev.video.url) {
-    const linkRow = document.createElement("div");
-    linkRow.style.marginTop = "8px";
-    const a = document.createElement("a");
-    a.href = ev.video.url;
-    a.target = "_blank";
-    a.rel = "noopener";
-    a.textContent = "Watch episode";
-    a.addEventListener("click", (e) => e.stopPropagation()); // avoid toggling parent banner
-    linkRow.appendChild(a);
-    card.appendChild(linkRow);
+  // casualties are display-only: the roster and stats only count a death through its fainted event
+  const faints = new Set(events
+    .filter(ev => ev && typeof ev === "object" && normalizeEventType(ev.type) === "fainted")
+    .map(ev => `${ev.episode}|${ev.pokemon?.nickname || ev.nickname}`));
+  for (const ev of events) {
+    const casualties = ev && typeof ev === "object" ? EVENT_TYPES[normalizeEventType(ev.type)]?.casualties : null;
+    for (const nick of casualties ? casualties(ev) : []) {
+      if (!faints.has(`${ev.episode}|${nick}`)) report("warning", ev, `Casualty "${nick}" has no fainted event in episode ${ev.episode}.`);
+    }
   }
-
-  wrapper.appendChild(card);
-  return wrapper;
 }
 
-  // small helper: species + gender icon fragment (icon placed BEFORE species)
-  function makeSpeciesFragment(speciesText, genderRaw) {
-    const frag = document.createDocumentFragment();
-    if (speciesText == null) speciesText = "";
-
-    const g = (typeof genderRaw === "string") ? genderRaw.trim().toLowerCase() : "";
-    const isFemale = (g === "f" || g === "female");
-    const isMale = (g === "m" || g === "male");
-
-    if (isFemale || isMale) {
-      const icon = document.createElement("span");
-      icon.className = "gender-icon " + (isFemale ? "female" : "male");
-      icon.setAttribute("aria-hidden", "true");
-      icon.textContent = isFemale ? "♀" : "♂";
-      icon.title = isFemale ? "Female" : "Male";
-      frag.appendChild(icon);
-      frag.appendChild(document.createTextNode(" "));
+/**
+ * validateRunMeta(meta)
+ * Shape checks for meta.json (player / rival / ended). Same issue format as validateRunEvents.
+ */
+function validateRunMeta(meta) {
+  const problems = [];
+  const report = (level, message) => problems.push({ level, file: "meta.json", id: null, episode: null, message });
+  if (!meta) {
+    report("warning", "meta.json is missing or could not be loaded.");
+    return problems;
+  }
+  if (typeof meta !== "object" || Array.isArray(meta)) {
+    report("error", "meta.json must contain a JSON object.");
+    return problems;
+  }
+  for (const role of ["player", "rival"]) {
+    const person = meta[role];
+    if (!person) {
+      report("warning", `Missing "${role}".`);
+      continue;
     }
-    frag.appendChild(document.createTextNode(speciesText));
-    return frag;
+    if (isBlank(person.name)) report("warning", `Missing "${role}.name".`);
+    if (isBlank(person.species)) report("warning", `Missing "${role}.species".`);
   }
-
-  const speciesNick = document.createElement("div");
-  speciesNick.className = "species-nick";
-
-  if (type === "evolved" || type === "evolution") {
-    const fromName = ev.from || ev.pokemon?.from || ev.pokemon?.before || ev.pokemon?.species || "";
-    const toName = ev.to || ev.pokemon?.to || ev.pokemon?.after || ev.pokemon?.species || "";
-    const nick = ev.pokemon?.nickname || ev.nickname;
-
-    if (fromName && toName) {
-      const frag = document.createDocumentFragment();
-      frag.appendChild(document.createTextNode(fromName));
-      frag.appendChild(document.createTextNode(" → "));
-      frag.appendChild(makeSpeciesFragment(toName, ev.pokemon?.gender));
-      if (nick) frag.appendChild(document.createTextNode(" • Named after " + nick));
-      speciesNick.appendChild(frag);
+  if (meta.rules !== undefined) {
+    if (!meta.rules || typeof meta.rules !== "object" || Array.isArray(meta.rules)) {
+      report("error", `"rules" must be an object.`);
     } else {
-      if (ev.pokemon?.species) {
-        const frag = makeSpeciesFragment(ev.pokemon.species, ev.pokemon?.gender);
-        speciesNick.appendChild(frag);
-        if (ev.pokemon?.nickname) speciesNick.appendChild(document.createTextNode(" • Named after " + ev.pokemon.nickname));
-      } else {
-        speciesNick.textContent = "";
+      for (const key of Object.keys(meta.rules)) {
+        if (!(key in RULE_LABELS)) report("warning", `Unknown rule "${key}".`);
       }
+      const caps = meta.rules.levelCap?.caps;
+      if (meta.rules.levelCap && meta.rules.levelCap !== true && !Array.isArray(caps)) report("error", `"rules.levelCap" must be true (caps from data/gyms.json) or have a "caps" array.`);
+      else if (Array.isArray(caps)) caps.forEach((c, i) => {
+        if (isBlank(c?.badge) || !Number.isInteger(c?.level)) report("error", `"rules.levelCap.caps[${i}]" needs a "badge" and a whole-number "level".`);
+      });
     }
-  } else {
-    const species = ev.pokemon?.species || ev.species || "";
-    const nickname = ev.pokemon?.nickname;
-    if (species) {
-      const frag = makeSpeciesFragment(species, ev.pokemon?.gender);
-      speciesNick.appendChild(frag);
-      if (nickname) speciesNick.appendChild(document.createTextNode(" → Named after " + nickname));
+  }
+  if (meta.episodeVideos !== undefined) {
+    if (!meta.episodeVideos || typeof meta.episodeVideos !== "object" || Array.isArray(meta.episodeVideos)) {
+      report("error", `"episodeVideos" must map episode numbers to YouTube video ids.`);
     } else {
-      speciesNick.textContent = "";
+      for (const [ep, id] of Object.entries(meta.episodeVideos)) {
+        if (!/^\d+$/.test(ep)) report("warning", `"episodeVideos" key "${ep}" isn't an episode number.`);
+        if (typeof id !== "string" || !/^[\w-]{6,}$/.test(id)) report("warning", `"episodeVideos.${ep}" should be a bare video id, got ${JSON.stringify(id)}.`);
+      }
     }
   }
+  if (meta.episodes !== undefined) validateEpisodeInfo(meta.episodes, report);
+  if (meta.featuredCreators !== undefined) {
+    if (!Array.isArray(meta.featuredCreators) || meta.featuredCreators.some(n => typeof n !== "string" || isBlank(n))) report("error", `"featuredCreators" must be a list of names.`);
+  }
+  if (meta.spriteSet !== undefined) {
+    if (typeof meta.spriteSet !== "string" || isBlank(meta.spriteSet)) report("error", `"spriteSet" must be the name of a sprite set.`);
+    else if (SPRITE_MANIFEST && !SPRITE_MANIFEST.sets.has(meta.spriteSet)) report("warning", `Sprite set "${meta.spriteSet}" isn't in sprites/manifest.json; regular sprites are used.`);
+  }
+  if (meta.theme !== undefined) {
+    if (!meta.theme || typeof meta.theme !== "object" || Array.isArray(meta.theme)) {
+      report("error", `"theme" must be an object like { "type": "fire" } or { "primary": "#rrggbb" }.`);
+    } else {
+      if (meta.theme.type !== undefined && !(String(meta.theme.type).toLowerCase() in TYPE_PALETTES)) report("warning", `Unknown "theme.type" "${meta.theme.type}"; the default palette is used.`);
+      for (const key of THEME_COLOR_KEYS) {
+        if (meta.theme[key] !== undefined && !isHexColor(meta.theme[key])) report("warning", `"theme.${key}" should be a hex color like "#3bddca".`);
+      }
+    }
+  }
+  if (meta.ended !== undefined) {
+    if (!Number.isInteger(meta.ended?.episode)) report("error", `"ended.episode" must be a whole number.`);
+    if (meta.ended?.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(meta.ended.date)) report("warning", `"ended.date" should be YYYY-MM-DD.`);
+  }
+  return problems;
+}
 
-  if (speciesNick.textContent || speciesNick.childNodes.length) text.appendChild(speciesNick);
-
-  // Obtained / died / location + timecode link
-  const obtainedLine = document.createElement("div");
-  obtainedLine.className = "obtained-line";
-  const location = ev.location || ev.obtained || ev.obtainedVia || ev.method || ev.fromLocation || "";
-  let locLabel = "Obtained via:";
-  if (type === "fainted") locLabel = "Died at:";
-  else if (type === "badge") locLabel = "Obtained at:";
-  else if (type === "end") locLabel = "Final location:";
-  if (location) obtainedLine.appendChild(document.createTextNode(`${locLabel} ${location}`));
-  if (ev.timestamp && ev.video?.url) {
-    if (location) obtainedLine.appendChild(document.createTextNode(" at "));
-    const a = document.createElement("a");
-    a.href = ev.video.url;
-    a.target = "_blank";
-    a.rel = "noopener";
-    a.textContent = ev.timestamp;
-    obtainedLine.appendChild(a);
-  } else if (ev.timestamp && !location) {
-    obtainedLine.appendChild(document.createTextNode(ev.timestamp));
-  }
-  if (obtainedLine.textContent || obtainedLine.children.length) text.appendChild(obtainedLine);
+/* ============================
+   YouTube links from episode + timestamp
+   ============================ */
+/* "00:23:40" (or "23:40") -> 1420; null when it isn't a timestamp */
+function timestampToSeconds(ts) {
+  const m = /^(?:(\d+):)?(\d{1,2}):(\d{2})$/.exec(String(ts || "").trim());
+  if (!m) return null;
+  return Number(m[1] || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]);
+}
 
-  if (ev.notes) {
-    const notes = document.createElement("div");
-    notes.className = "item-notes";
-    notes.textContent = ev.notes;
-    text.appendChild(notes);
+/* youtu.be/ID?t=1420, youtube.com/watch?v=ID&t=23m40s, ... -> { videoId, seconds } or null */
+function parseVideoUrl(url) {
+  let u;
+  try {
+    u = new URL(String(url || "").trim());
+  } catch (e) {
+    return null;
   }
+  let videoId = null;
+  if (u.hostname === "youtu.be") videoId = u.pathname.slice(1);
+  else if (/(^|\.)youtube\.com$/.test(u.hostname)) videoId = u.searchParams.get("v") || (/^\/(?:embed|live)\/([^/]+)/.exec(u.pathname) || [])[1] || null;
+  if (!videoId) return null;
+
+  const t = u.searchParams.get("t") || u.searchParams.get("start");
+  let seconds = null;
+  if (t) {
+    const m = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/.exec(t);
+    if (m && (m[1] || m[2] || m[3])) seconds = Number(m[1] || 0) * 3600 + Number(m[2] || 0) * 60 + Number(m[3] || 0);
+  }
+  return { videoId, seconds };
+}
 
-  body.appendChild(visual);
-  body.appendChild(text);
-  wrapper.appendChild(body);
-  return wrapper;
+function buildVideoUrl(videoId, seconds) {
+  return `https://youtu.be/${videoId}` + (Number.isInteger(seconds) ? `?t=${seconds}` : "");
+}
+
+/* meta.episodes[N].videoId, or the older meta.episodeVideos map (episode number -> YouTube video id) */
+function episodeVideoId(meta, episode) {
+  if (episode === undefined || episode === null) return null;
+  return episodeInfo(meta, episode)?.videoId || meta?.episodeVideos?.[String(episode)] || null;
+}
+
+/**
+ * withEpisodeVideoUrls(events, meta)
+ * Returns the events with video.url filled in from meta.episodeVideos + timestamp
+ * wherever the event doesn't carry a url itself. Events are copied, not mutated.
+ */
+function withEpisodeVideoUrls(events, meta) {
+  if ((!meta?.episodeVideos && !meta?.episodes) || !Array.isArray(events)) return events;
+  return events.map(ev => {
+    if (!ev || typeof ev !== "object" || ev.video?.url) return ev;
+    const videoId = episodeVideoId(meta, ev.episode);
+    if (!videoId) return ev;
+    return { ...ev, video: { ...(ev.video || {}), url: buildVideoUrl(videoId, timestampToSeconds(ev.timestamp)) } };
+  });
+}
+
+/**
+ * validateVideoLinks(events, meta)
+ * Flags explicit video urls that aren't YouTube links, point at another episode's
+ * video, or whose ?t= disagrees with the event timestamp.
+ */
+function validateVideoLinks(events, meta) {
+  const problems = [];
+  if (!Array.isArray(events)) return problems;
+  for (const ev of events) {
+    const url = ev?.video?.url;
+    if (!url) continue;
+    const report = (message) => problems.push({ level: "warning", file: "events.json", id: ev.id ?? null, episode: ev.episode ?? null, message });
+    const parsed = parseVideoUrl(url);
+    if (!parsed) {
+      report(`"video.url" isn't a YouTube link: "${url}".`);
+      continue;
+    }
+    const expectedId = episodeVideoId(meta, ev.episode);
+    if (expectedId && parsed.videoId !== expectedId) report(`Video ${parsed.videoId} isn't episode ${ev.episode}'s video (${expectedId}).`);
+    const seconds = timestampToSeconds(ev.timestamp);
+    if (seconds !== null && parsed.seconds !== null && seconds !== parsed.seconds) {
+      report(`Link jumps to ?t=${parsed.seconds} but the timestamp ${ev.timestamp} is ${seconds}s.`);
+    } else if (seconds !== null && parsed.seconds === null) {
+      report(`Link has no ?t= for timestamp ${ev.timestamp}.`);
+    }
+  }
+  return problems;
 }
 
 /* ============================
-   markSpecialEvent - ribbon placed on header (data-ribbon)
-   simple: sets .special class and header data-ribbon; no floating DOMs
+   Episode metadata (meta.episodes)
    ============================ */
-function markSpecialEvent(ev, el, opts = {}) {
-  if (!ev || !el) return;
-  const highlightName = opts.highlightName || "Luc";
+/**
+ * meta.episodes maps episode number -> { title, videoId, duration, summary }, all optional.
+ * Episodes listed here show up in the timeline even when nothing was logged for them.
+ */
+const EPISODE_INFO_FIELDS = ["title", "videoId", "duration", "summary"];
 
-  // Determine label
-  let specialLabel = null;
-  if (typeof ev.special === "string") specialLabel = ev.special;
-  else if (typeof ev.special === "object" && ev.special !== null) {
-    if (ev.special.label) specialLabel = ev.special.label;
-  } else if (ev.special === true) {
-    specialLabel = ev.pokemon?.nickname || `Named after ${highlightName}`;
-  } else {
+function episodeInfo(meta, episode) {
+  const info = meta?.episodes?.[String(episode)];
+  return info && typeof info === "object" && !Array.isArray(info) ? info : null;
+}
+
+/* Episode numbers the metadata knows about (episodes + episodeVideos), ascending */
+function metaEpisodeNumbers(meta) {
+  const keys = Object.keys(meta?.episodes || {}).concat(Object.keys(meta?.episodeVideos || {}));
+  return Array.from(new Set(keys.filter(k => /^\d+$/.test(k)).map(Number))).sort((a, b) => a - b);
+}
+
+/* "Episode 12: Title" — falls back to the bare number */
+function episodeLabel(episode, info) {
+  return `Episode ${episode}` + (info?.title ? `: ${info.title}` : "");
+}
+
+/* "1:02:03" -> "1h 02m", "42:17" -> "42m" */
+function formatEpisodeDuration(duration) {
+  const seconds = timestampToSeconds(duration);
+  if (seconds === null) return "";
+  const h = Math.floor(seconds / 3600);
+  const m = Math.round((seconds % 3600) / 60);
+  return h ? `${h}h ${String(m).padStart(2, "0")}m` : `${m}m`;
+}
+
+function validateEpisodeInfo(episodes, report) {
+  if (!episodes || typeof episodes !== "object" || Array.isArray(episodes)) {
+    report("error", `"episodes" must map episode numbers to { title, videoId, duration, summary }.`);
     return;
   }
-  if (!specialLabel) specialLabel = ev.pokemon?.nickname || `Named after ${highlightName}`;
+  for (const [ep, info] of Object.entries(episodes)) {
+    if (!/^\d+$/.test(ep)) report("warning", `"episodes" key "${ep}" isn't an episode number.`);
+    if (!info || typeof info !== "object" || Array.isArray(info)) {
+      report("error", `"episodes.${ep}" must be an object.`);
+      continue;
+    }
+    for (const key of Object.keys(info)) {
+      if (!EPISODE_INFO_FIELDS.includes(key)) report("warning", `Unknown field "episodes.${ep}.${key}".`);
+    }
+    for (const key of ["title", "summary"]) {
+      if (info[key] !== undefined && (typeof info[key] !== "string" || isBlank(info[key]))) report("warning", `"episodes.${ep}.${key}" should be non-empty text.`);
+    }
+    if (info.videoId !== undefined && (typeof info.videoId !== "string" || !/^[\w-]{6,}$/.test(info.videoId))) report("warning", `"episodes.${ep}.videoId" should be a bare video id, got ${JSON.stringify(info.videoId)}.`);
+    if (info.duration !== undefined && timestampToSeconds(info.duration) === null) report("warning", `"episodes.${ep}.duration" should look like "42:17" or "1:02:03".`);
+  }
+}
 
-  // Add class
-  el.classList.add("special");
+/* ============================
+   Data problems panel
+   ============================ */
+function renderDataProblems(problems) {
+  const panel = document.getElementById("data-problems");
+  if (!panel) return;
+  panel.innerHTML = "";
+  if (!problems || problems.length === 0) {
+    panel.hidden = true;
+    return;
+  }
 
-  // Put ribbon text on the header element via data-ribbon
-  const headerEl = el.querySelector(".event-header");
-  if (headerEl) {
-    headerEl.setAttribute("data-ribbon", specialLabel);
-    headerEl.style.position = headerEl.style.position || "relative";
+  const errors = problems.filter(p => p.level === "error");
+  const warnings = problems.filter(p => p.level !== "error");
+
+  const header = document.createElement("div");
+  header.className = "data-problems-header";
+  const title = document.createElement("strong");
+  title.textContent = "⚠ Data problems";
+  header.appendChild(title);
+
+  const counts = document.createElement("span");
+  counts.className = "data-problems-counts";
+  const parts = [];
+  if (errors.length) parts.push(`${errors.length} error${errors.length === 1 ? "" : "s"}`);
+  if (warnings.length) parts.push(`${warnings.length} warning${warnings.length === 1 ? "" : "s"}`);
+  counts.textContent = parts.join(", ");
+  header.appendChild(counts);
+
+  const toggle = document.createElement("button");
+  toggle.className = "btn small";
+  toggle.setAttribute("aria-expanded", "false");
+  toggle.textContent = "Show details";
+  header.appendChild(toggle);
+  panel.appendChild(header);
+
+  const list = document.createElement("ul");
+  list.className = "data-problems-list";
+  list.hidden = true;
+  // errors first, then warnings; keep file order within each group
+  for (const p of errors.concat(warnings)) {
+    const li = document.createElement("li");
+    li.className = `data-problem ${p.level === "error" ? "error" : "warning"}`;
+
+    const lvl = document.createElement("span");
+    lvl.className = "data-problem-level";
+    lvl.textContent = p.level === "error" ? "Error" : "Warning";
+    li.appendChild(lvl);
+
+    const where = document.createElement("code");
+    where.className = "data-problem-where";
+    const loc = [p.file];
+    if (p.id) loc.push(p.id);
+    if (p.episode !== null && p.episode !== undefined) loc.push(`Episode ${p.episode}`);
+    where.textContent = loc.join(" • ");
+    li.appendChild(where);
+
+    li.appendChild(document.createTextNode(" " + p.message));
+    list.appendChild(li);
   }
+  panel.appendChild(list);
 
-  // Accessibility: a short aria label
-  el.setAttribute("aria-label", `${specialLabel} — special event`);
+  toggle.addEventListener("click", () => {
+    list.hidden = !list.hidden;
+    toggle.setAttribute("aria-expanded", list.hidden ? "false" : "true");
+    toggle.textContent = list.hidden ? "Show details" : "Hide details";
+  });
+
+  panel.classList.toggle("has-errors", errors.length > 0);
+  panel.hidden = false;
 }
 
 /* ============================
-   Episode expand/collapse helpers
+   Pokémon details (types, ability, nature, moves, held item)
    ============================ */
-function toggleEpisodeSection(runKey, ep) {
-  const contents = document.getElementById(`episode-contents-${ep}`);
-  const banner = document.querySelector(`.episode-section[data-episode="${ep}"] .episode-banner`);
-  if (!contents || !banner) return;
+/*
+ * Optional fields on an event's "pokemon" object:
+ *   "types": ["fire", "normal"], "ability": "Rock Head", "nature": "Adamant",
+ *   "moves": ["Ember", "Bite"], "heldItem": "Charcoal"
+ * Later events (evolutions, faints) may repeat any of them to record a change.
+ */
+const POKEMON_TYPES = ["normal", "fire", "water", "grass", "electric", "ice", "fighting", "poison", "ground",
+  "flying", "psychic", "bug", "rock", "ghost", "dragon", "dark", "steel", "fairy"];
+const POKEMON_DETAIL_FIELDS = ["types", "ability", "nature", "moves", "heldItem"];
+const POKEMON_MAX_MOVES = 4;
+// "Has the ability 'Skill Link'" (the closing quote is sometimes missing), or an evolution's
+// "Their new ability is 'Trace'!"; an unknown '???' ability stays in the notes
+const ABILITY_NOTE_PATTERN = /\s*[|,;]?\s*\b(?:[Hh]as the ability|[Tt]heir new ability is) '(?!\?+'?)([^']*)'?[.!]?/;
+
+/* The detail fields of a pokemon object, cleaned up; missing ones are left out */
+function pokemonDetails(p) {
+  const details = {};
+  if (!p || typeof p !== "object") return details;
+  const list = (v) => (Array.isArray(v) ? v : (typeof v === "string" ? v.split(",") : []))
+    .map(x => String(x).trim()).filter(Boolean);
+  const text = (v) => (typeof v === "string" ? v.trim() : "");
+  const types = list(p.types).map(t => t.toLowerCase());
+  const moves = list(p.moves);
+  // same key order as POKEMON_DETAIL_FIELDS (and the hand-written files)
+  if (types.length) details.types = types;
+  if (text(p.ability)) details.ability = text(p.ability);
+  if (text(p.nature)) details.nature = text(p.nature);
+  if (moves.length) details.moves = moves;
+  if (text(p.heldItem)) details.heldItem = text(p.heldItem);
+  return details;
+}
 
-  const collapsedSet = loadCollapsedMap(runKey);
+function validatePokemonDetails(p, warn) {
+  if (!p || typeof p !== "object") return;
+  if (p.types !== undefined) {
+    if (!Array.isArray(p.types) || p.types.length === 0 || p.types.length > 2) warn(`"pokemon.types" should list one or two types.`);
+    else for (const t of p.types) {
+      if (!POKEMON_TYPES.includes(String(t).toLowerCase())) warn(`Unknown type "${t}" in "pokemon.types".`);
+    }
+  }
+  if (p.moves !== undefined) {
+    if (!Array.isArray(p.moves) || p.moves.some(m => typeof m !== "string" || isBlank(m))) warn(`"pokemon.moves" should be a list of move names.`);
+    else if (p.moves.length > POKEMON_MAX_MOVES) warn(`"pokemon.moves" lists ${p.moves.length} moves; a Pokémon knows at most ${POKEMON_MAX_MOVES}.`);
+  }
+  for (const key of ["ability", "nature", "heldItem"]) {
+    if (p[key] !== undefined && (typeof p[key] !== "string" || isBlank(p[key]))) warn(`"pokemon.${key}" should be a non-empty string.`);
+  }
+}
 
-  const isCollapsed = contents.classList.contains("collapsed");
+/* <span class="type-chips"> with one chip per type (null when there are none) */
+function createTypeChips(types) {
+  if (!Array.isArray(types) || types.length === 0) return null;
+  const row = document.createElement("span");
+  row.className = "type-chips";
+  for (const t of types) {
+    const chip = document.createElement("span");
+    chip.className = "type-chip";
+    chip.dataset.type = t;
+    chip.textContent = capitalize(t);
+    row.appendChild(chip);
+  }
+  return row;
+}
 
-  if (isCollapsed) {
-    // ---- EXPAND ----
-    contents.classList.remove("collapsed");
-    contents.setAttribute("aria-hidden", "false");
-    banner.setAttribute("aria-expanded", "true");
+/* Type chips plus ability / nature / item / moves lines for a card (null when there's nothing to show) */
+function createPokemonDetails(p) {
+  const details = pokemonDetails(p);
+  if (Object.keys(details).length === 0) return null;
+  const box = document.createElement("div");
+  box.className = "pokemon-details";
+  const chips = createTypeChips(details.types);
+  if (chips) box.appendChild(chips);
+  const line = (label, value, className) => {
+    const row = document.createElement("div");
+    row.className = className;
+    const strong = document.createElement("strong");
+    strong.textContent = `${label}: `;
+    row.appendChild(strong);
+    row.appendChild(document.createTextNode(value));
+    box.appendChild(row);
+  };
+  if (details.ability) line("Ability", details.ability, "pokemon-ability");
+  if (details.nature) line("Nature", details.nature, "pokemon-nature");
+  if (details.heldItem) line("Holding", details.heldItem, "pokemon-item");
+  if (details.moves) line("Moves", details.moves.join(" • "), "pokemon-moves");
+  return box;
+}
 
-    // measure natural height
-    const targetHeight = contents.scrollHeight;
+/* true when the notes still carry an ability that migrateAbilityNotes would move */
+function hasAbilityNote(ev) {
+  if (typeof ev?.notes !== "string" || ev.pokemon?.ability) return false;
+  if (!ev.pokemon && normalizeEventType(ev.type) !== "evolved") return false;
+  return Boolean(ev.notes.match(ABILITY_NOTE_PATTERN)?.[1].trim());
+}
 
-    // ensure starting point for animation (0)
-    contents.style.maxHeight = "0px";
-    contents.style.overflow = "hidden";
+/**
+ * migrateAbilityNotes(events)
+ * One-off helper for files written before "pokemon.ability" existed: moves
+ * "Has the ability '…'" (and an evolution's "Their new ability is '…'") out of
+ * the notes and into the pokemon object, dropping the "|" / ", " next to it.
+ * Returns { events, moved } and leaves the input untouched.
+ */
+function migrateAbilityNotes(events) {
+  let moved = 0;
+  const out = (Array.isArray(events) ? events : []).map(ev => {
+    if (!hasAbilityNote(ev)) return ev;
+    const m = ev.notes.match(ABILITY_NOTE_PATTERN);
+    const next = { ...ev, pokemon: { ...(ev.pokemon || {}), ability: m[1].trim() } };
+    const rest = (ev.notes.slice(0, m.index) + ev.notes.slice(m.index + m[0].length)).replace(/^[\s,.;|]+/, "").trim();
+    if (rest) next.notes = rest.charAt(0).toUpperCase() + rest.slice(1);
+    else delete next.notes;
+    moved++;
+    return next;
+  });
+  return { events: out, moved };
+}
 
-    // animate to measured height on next frame
-    requestAnimationFrame(() => {
-      contents.style.maxHeight = targetHeight + "px";
-    });
+/* ============================
+   Sprite manifest (aliases, forms, alternate sets) & missing-sprite report
+   ============================ */
+/*
+ * sprites/manifest.json:
+ *   "species": { "Kommo-o": "kommo-o.png", "Raichu-Alola": "raichu-alola.png", ... }
+ *   "aliases": { "Jangmo o": "Jangmo-o", ... }   other spellings -> a "species" name
+ *   "sets":    { "shiny": { "path": "shiny/", "species": { "Silcoon": "silcoon.png" } } }
+ * "Alolan Raichu" and "Raichu (Alola)" find "Raichu-Alola" without an alias. A set only
+ * lists the sprites it has; the rest fall back to the main sprite. A run picks a set with
+ * meta.json "spriteSet", and catches whose special label says "Shiny" use the shiny set.
+ */
+const REGIONAL_FORMS = { alolan: "alola", galarian: "galar", hisuian: "hisui", paldean: "paldea" };
+const SHINY_SPRITE_SET = "shiny";
+let SPRITE_MANIFEST = null; // manifest.json indexed by slug, see buildSpriteIndex
+
+function buildSpriteIndex(manifest) {
+  const files = (obj) => new Map(Object.entries(obj && typeof obj === "object" ? obj : {})
+    .map(([name, file]) => [speciesToFilename(name), String(file)]));
+  const index = {
+    names: Object.keys(manifest?.species || {}).sort(),
+    species: files(manifest?.species),
+    aliases: new Map(Object.entries(manifest?.aliases || {}).map(([alias, name]) => [speciesToFilename(alias), speciesToFilename(name)])),
+    sets: new Map()
+  };
+  for (const [name, set] of Object.entries(manifest?.sets || {})) {
+    if (!set || typeof set !== "object") continue;
+    const path = String(set.path || `${name}/`);
+    index.sets.set(name, { path: path.endsWith("/") ? path : path + "/", species: files(set.species) });
+  }
+  return index;
+}
 
-    // after transition: remove max-height to allow natural flow
-    const onExpandEnd = (e) => {
-      if (e.propertyName === "max-height") {
-        contents.style.maxHeight = "none";
-        contents.style.overflow = "visible";
-        contents.removeEventListener("transitionend", onExpandEnd);
-      }
-    };
-    contents.addEventListener("transitionend", onExpandEnd);
+async function loadSpriteManifest() {
+  if (!SPRITE_MANIFEST) SPRITE_MANIFEST = buildSpriteIndex(await fetchJson(SPRITE_MANIFEST_PATH));
+  return SPRITE_MANIFEST;
+}
 
-    // update persisted map => remove from collapsed
-    collapsedSet.delete(Number(ep));
-    saveCollapsedMap(runKey, collapsedSet);
+/* "Alolan Raichu" / "Raichu (Alola)" -> "raichu-alola"; aliases applied last */
+function spriteKey(species) {
+  let key = speciesToFilename(String(species || "").replace(/[()]/g, " "));
+  if (!key) return null;
+  const regional = key.match(/^(alolan|galarian|hisuian|paldean)-(.+)$/);
+  if (regional) key = `${regional[2]}-${REGIONAL_FORMS[regional[1]]}`;
+  return SPRITE_MANIFEST?.aliases.get(key) || key;
+}
 
-  } else {
-    // ---- COLLAPSE ----
-    // measure current height to animate from it
-    const startH = contents.scrollHeight;
-    // set explicit pixel height (ensure animation from this height)
-    contents.style.maxHeight = startH + "px";
-    contents.style.overflow = "hidden";
+/**
+ * resolveSprite(species, set)
+ * { url, exact } from the manifest, or null when the species isn't listed at all.
+ * exact is false when it had to fall back (set -> main sprite, regional form -> base species).
+ */
+function resolveSprite(species, set = null) {
+  if (!SPRITE_MANIFEST) return null;
+  const key = spriteKey(species);
+  if (!key) return null;
+  const alt = set ? SPRITE_MANIFEST.sets.get(set) : null;
+  if (alt?.species.has(key)) return { url: `${SPRITES_PATH}${alt.path}${alt.species.get(key)}`, exact: true };
+  if (SPRITE_MANIFEST.species.has(key)) return { url: `${SPRITES_PATH}${SPRITE_MANIFEST.species.get(key)}`, exact: !set };
+  const base = key.replace(/-(alola|galar|hisui|paldea)$/, "");
+  if (base !== key && SPRITE_MANIFEST.species.has(base)) return { url: `${SPRITES_PATH}${SPRITE_MANIFEST.species.get(base)}`, exact: false };
+  return null;
+}
 
-    // on next frame, animate to 0
-    requestAnimationFrame(() => {
-      contents.style.maxHeight = "0px";
-    });
+/* Sprite set for an event's Pokémon: shiny catches get the shiny set, otherwise the run's meta.spriteSet */
+function spriteSetFor(ev, meta = CURRENT_RUN_META) {
+  const label = typeof ev?.special === "string" ? ev.special : ev?.special?.label;
+  if (/\bshiny\b/i.test(label || "")) return SHINY_SPRITE_SET;
+  return typeof meta?.spriteSet === "string" && meta.spriteSet ? meta.spriteSet : null;
+}
 
-    // mark collapsed state immediately for ARIA and class
-    contents.classList.add("collapsed");
-    contents.setAttribute("aria-hidden", "true");
-    banner.setAttribute("aria-expanded", "false");
+/* slug -> { species, uses: [{ runId, id, set }] } for every sprite the runs ask for */
+function collectSpriteReferences(runs) {
+  const refs = new Map();
+  const add = (species, use) => {
+    const key = spriteKey(species);
+    if (!key) return;
+    if (!refs.has(key)) refs.set(key, { species, uses: [] });
+    refs.get(key).uses.push(use);
+  };
+  for (const run of runs) {
+    const runSet = spriteSetFor(null, run.meta);
+    for (const role of ["player", "rival"]) add(run.meta?.[role]?.species, { runId: run.id, id: `meta.json ${role}`, set: runSet });
+    for (const ev of run.events || []) {
+      const set = spriteSetFor(ev, run.meta);
+      for (const species of eventSpecies(ev)) add(species, { runId: run.id, id: ev.id || null, set });
+      // the killer's sprite is drawn on fainted cards too
+      const killer = faintCause(ev)?.species;
+      if (killer) add(killer, { runId: run.id, id: ev.id || null, set });
+    }
+  }
+  return refs;
+}
 
-    // After transition end, keep it collapsed state (maxHeight 0)
-    const onCollapseEnd = (e) => {
-      if (e.propertyName === "max-height") {
-        // keep maxHeight at 0 so it stays collapsed
-        contents.style.maxHeight = "0px";
-        contents.style.overflow = "hidden";
-        contents.removeEventListener("transitionend", onCollapseEnd);
+/* Missing sprites (errors), plus sets and forms that fall back to another sprite (warnings) */
+function findMissingSprites(refs) {
+  const rows = [];
+  for (const ref of refs.values()) {
+    const main = resolveSprite(ref.species);
+    if (!main) {
+      rows.push({ level: "error", species: ref.species, message: `No sprite (expected ${SPRITES_PATH}${spriteKey(ref.species)}.png in the manifest).`, uses: ref.uses });
+      continue;
+    }
+    if (!main.exact) rows.push({ level: "warning", species: ref.species, message: "This form has no sprite of its own; the base species is used.", uses: ref.uses });
+    for (const set of new Set(ref.uses.map(u => u.set).filter(Boolean))) {
+      if (!resolveSprite(ref.species, set).exact) {
+        rows.push({ level: "warning", species: ref.species, message: `Not in the "${set}" sprite set; the regular sprite is used.`, uses: ref.uses.filter(u => u.set === set) });
       }
-    };
-    contents.addEventListener("transitionend", onCollapseEnd);
-
-    // update persisted map => add to collapsed
-    collapsedSet.add(Number(ep));
-    saveCollapsedMap(runKey, collapsedSet);
+    }
   }
+  return rows.sort((a, b) => (a.level === b.level ? a.species.localeCompare(b.species) : (a.level === "error" ? -1 : 1)));
 }
 
-/* Expand/Collapse all */
-function setAllCollapsed(runId, collapsed) {
-  const sections = document.querySelectorAll(`.episode-section`);
-  const map = loadCollapsedMap(runId);
-  if (collapsed) {
-    sections.forEach(sec => {
-      const ep = Number(sec.dataset.episode);
-      toggleEpisodeSection(runId, ep, false);
-      map.add(ep);
-    });
-  } else {
-    sections.forEach(sec => {
-      const ep = Number(sec.dataset.episode);
-      toggleEpisodeSection(runId, ep, true);
-      map.delete(ep);
-    });
+/* Report mode (?report=sprites), laid out like the data problems panel */
+function renderSpriteReport(rows, total) {
+  const panel = document.getElementById("sprite-report");
+  if (!panel) return;
+  panel.innerHTML = "";
+  const missing = rows.filter(r => r.level === "error").length;
+  panel.classList.toggle("has-errors", missing > 0);
+
+  const header = document.createElement("div");
+  header.className = "data-problems-header";
+  const title = document.createElement("strong");
+  title.textContent = "Sprite report";
+  header.appendChild(title);
+  const counts = document.createElement("span");
+  counts.className = "data-problems-counts";
+  counts.textContent = `${total} species referenced • ${missing} missing • ${rows.length - missing} falling back`;
+  header.appendChild(counts);
+  const close = document.createElement("button");
+  close.className = "btn small";
+  close.textContent = "Close";
+  close.addEventListener("click", () => {
+    panel.hidden = true;
+    const url = new URL(location);
+    url.searchParams.delete("report");
+    history.replaceState(null, "", url.toString());
+  });
+  header.appendChild(close);
+  panel.appendChild(header);
+
+  const list = document.createElement("ul");
+  list.className = "data-problems-list";
+  if (rows.length === 0) {
+    const li = document.createElement("li");
+    li.className = "data-problem";
+    li.textContent = "Every species the runs mention has a sprite.";
+    list.appendChild(li);
   }
-  saveCollapsedMap(runId, map);
+  for (const row of rows) {
+    const li = document.createElement("li");
+    li.className = `data-problem ${row.level}`;
+    const lvl = document.createElement("span");
+    lvl.className = "data-problem-level";
+    lvl.textContent = row.level === "error" ? "Missing" : "Fallback";
+    li.appendChild(lvl);
+    const name = document.createElement("strong");
+    name.textContent = row.species;
+    li.appendChild(name);
+    li.appendChild(document.createTextNode(` ${row.message} `));
+    const where = document.createElement("code");
+    where.className = "data-problem-where";
+    const uses = row.uses.map(u => u.id ? `${u.runId} ${u.id}` : u.runId);
+    where.textContent = uses.slice(0, 6).join(", ") + (uses.length > 6 ? ` and ${uses.length - 6} more` : "");
+    li.appendChild(where);
+    list.appendChild(li);
+  }
+  panel.appendChild(list);
+  panel.hidden = false;
+}
+
+/* Whole files, spoiler guard ignored: this is a maintainer view */
+async function openSpriteReport() {
+  await loadSpriteManifest();
+  const runs = await Promise.all(RUNS_LIST.map(async (r) => {
+    const { fileEvents, meta } = await loadRunData(r.id);
+    return { id: r.id, events: fileEvents, meta };
+  }));
+  const refs = collectSpriteReferences(runs);
+  renderSpriteReport(findMissingSprites(refs), refs.size);
 }
 
 /* ============================
-   Episode selector helpers
+   Event type registry
    ============================ */
-function populateEpisodeSelector(episodes) {
-  const sel = document.getElementById("episode-selector");
-  if (!sel) return;
-  sel.innerHTML = "";
-  const placeholder = document.createElement("option");
-  placeholder.value = "";
-  placeholder.textContent = "Select…";
-  sel.appendChild(placeholder);
-  for (const e of episodes) {
-    const opt = document.createElement("option");
-    opt.value = String(e.episode);
-    opt.textContent = e.date ? `Episode ${e.episode} — ${e.date}` : `Episode ${e.episode}`;
-    sel.appendChild(opt);
+/**
+ * EVENT_TYPES[type] describes how one kind of event is drawn and searched. Every part is optional:
+ *   label              name used in headlines ("Caught", "Badge")
+ *   header(ev, flags)  header text of the standard card; flags = { failed, illegal }
+ *   visual(ev)         node for the picture column (sprite, badge, evolution row)
+ *   body(ev)           node for the species / nickname line, or null
+ *   locationLabel      "Obtained via:" and friends (string, or ev => string)
+ *   extra(ev)          node shown under the location line (a fainted event's cause), or null
+ *   cardClass          extra class on the standard card ("fainted")
+ *   searchFields(ev)   extra { field: [values] } for the search index (species, nick, loc, notes, badge, type)
+ *   element(ev)        builds the whole card itself (full-width types); the standard card is the fallback
+ *   minor              counts as "No major events" on the episode banner
+ *   team(ev)           the player's Pokémon the event lists ([{ species, nickname, level }]); enables the "pokemons" checks
+ *   casualties(ev)     nicknames from that team that fell in the event itself
+ *   roster(ev, roster) adds the event to buildRoster's entries ({ members, issue, lastTeam })
+ *   biography(ev, loc) line for the event in a Pokémon's biography
+ *   validate(ev, warn) extra checks for the data problems panel
+ *   editor             { fields, toEvent(val, values), side } for the event editor: the type's inputs (names in
+ *                      EDITOR_FIELD_SPECS, "pokemons" for team rows), its own keys from the form, and the
+ *                      default card side ("right", or false for types without one)
+ *   schema             { required, recommended } field paths for the data problems panel; a missing
+ *                      "required" one is an error, a "recommended" one a warning ("pokemon.species")
+ *   aliases            legacy spellings of the type
+ * Types without an entry are drawn with DEFAULT_EVENT_TYPE.
+ */
+const EVENT_TYPES = {};
+
+function registerEventType(type, spec) {
+  EVENT_TYPES[type] = spec;
+  for (const alias of spec.aliases || []) EVENT_TYPE_ALIASES[alias] = type;
+}
+
+function eventTypeSpec(type) {
+  return { ...DEFAULT_EVENT_TYPE, ...(EVENT_TYPES[normalizeEventType(type)] || {}) };
+}
+
+function eventTypeLabel(type) {
+  return EVENT_TYPES[normalizeEventType(type)]?.label || (type ? capitalize(String(type)) : "Event");
+}
+
+function createSpriteImage(species, ev) {
+  const img = document.createElement("img");
+  img.className = "sprite";
+  img.alt = species || "pokemon";
+  const url = spriteUrlFor(species, spriteSetFor(ev));
+  if (url) img.src = url;
+  attachPlaceholderOnErrorOrNull(img, species, url);
+  return img;
+}
+
+/* "Species ♂ → Named after <nickname>" */
+function createSpeciesLine(ev) {
+  const species = ev.pokemon?.species || ev.species || "";
+  if (!species) return null;
+  const line = document.createDocumentFragment();
+  line.appendChild(makeSpeciesFragment(species, ev.pokemon?.gender));
+  if (ev.pokemon?.nickname) {
+    line.appendChild(document.createTextNode(" → Named after "));
+    line.appendChild(createNicknameLink(ev.pokemon.nickname, ev));
   }
+  return line;
+}
 
-  const jumpBtn = document.getElementById("jump-episode");
-  if (jumpBtn) {
-    jumpBtn.onclick = () => {
-      const val = sel.value;
-      if (!val) return;
-      const anchor = `episode-${val}`;
-      toggleEpisodeSection(CURRENT_RUN_ID || DEFAULT_RUN_ID, Number(val), true);
-      history.replaceState(null, "", `#${anchor}`);
-      setTimeout(() => {
-        const target = document.getElementById(`episode-contents-${val}`);
-        if (!target) return;
-        const top = target.getBoundingClientRect().top + window.scrollY - SCROLL_OFFSET;
-        window.scrollTo({ top, behavior: "smooth" });
-      }, 90);
-    };
+function evolutionNames(ev) {
+  return {
+    from: ev.from || ev.pokemon?.from || ev.pokemon?.before || ev.pokemon?.species || "",
+    to: ev.to || ev.pokemon?.to || ev.pokemon?.after || ev.pokemon?.species || ""
+  };
+}
+
+/* ev.pokemons for the types that list a team */
+function eventTeam(ev) {
+  return Array.isArray(ev.pokemons) ? ev.pokemons : [];
+}
+
+/* Adds ev to the roster entry of each team member; returns the nicknames found */
+function addTeamToRoster(ev, roster, what) {
+  const found = new Set();
+  for (const p of eventTeam(ev)) {
+    if (!p?.nickname) continue;
+    const entry = roster.members.get(p.nickname);
+    if (!entry) {
+      roster.issue("warning", ev, `${what} "${p.nickname}" was never caught.`);
+      continue;
+    }
+    entry.events.push(ev);
+    found.add(p.nickname);
   }
+  return found;
+}
+
+const DEFAULT_EVENT_TYPE = {
+  header: (ev) => ev.type ? capitalize(ev.type) : "Event",
+  visual: (ev) => createSpriteImage(ev.pokemon?.species || ev.species || "", ev),
+  body: createSpeciesLine,
+  locationLabel: "Obtained via:"
+};
+
+registerEventType("caught", {
+  label: "Caught",
+  schema: {
+    required: ["pokemon.species", "location"],
+    recommended: ["pokemon.nickname", "pokemon.level", "timestamp", "video.url"]
+  },
+  header: (ev, flags) => {
+    const level = ev.pokemon?.level ?? ev.level;
+    if (flags.failed) return level ? `Failed to catch (Level ${level})` : "Failed to catch";
+    return level ? `Caught at Level ${level}` : "Caught";
+  },
+  biography: (ev, location) => {
+    if (isFailedEvent(ev)) return `Failed to catch${location ? ` at ${location}` : ""}`;
+    return `${isIllegalEvent(ev) ? "Illegally caught" : "Caught"}${location ? ` at ${location}` : ""}`;
+  },
+  editor: {
+    fields: ["species", "gender", "nickname", "level", "location", "failed", "illegal", "special", ...POKEMON_DETAIL_FIELDS],
+    toEvent: (val, values) => {
+      const ev = {};
+      if (values.failed) ev.failed = true;
+      if (values.illegal) ev.illegal = true;
+      ev.pokemon = { ...editorPokemon(val), ...editorPokemonDetails(values) };
+      if (val("special")) ev.special = { label: val("special") };
+      return ev;
+    }
+  }
+});
+
+// fainted events may carry a structured cause alongside the prose in "notes"
+const FAINT_SOURCES = { wild: "wild", trainer: "trainer" };
+const FAINT_CAUSE_FIELDS = ["species", "source", "trainer", "move", "crit", "wipe"];
+
+/* ev.cause -> { species, source, trainer, move, crit, wipe } (null when there is none) */
+function faintCause(ev) {
+  const cause = ev?.cause;
+  if (!cause || typeof cause !== "object" || Array.isArray(cause)) return null;
+  const text = (v) => (typeof v === "string" && v.trim()) ? v.trim() : null;
+  return {
+    species: text(cause.species),
+    source: cause.source in FAINT_SOURCES ? cause.source : (text(cause.trainer) ? "trainer" : null),
+    trainer: text(cause.trainer),
+    move: text(cause.move),
+    crit: cause.crit === true,
+    wipe: cause.wipe === true
+  };
+}
+
+function validateFaintCause(ev, warn) {
+  const cause = ev.cause;
+  if (cause === undefined) return;
+  if (!cause || typeof cause !== "object" || Array.isArray(cause)) return warn(`"cause" must be an object.`);
+  for (const key of Object.keys(cause)) {
+    if (!FAINT_CAUSE_FIELDS.includes(key)) warn(`Unknown field "cause.${key}".`);
+  }
+  for (const key of ["species", "trainer", "move"]) {
+    if (cause[key] !== undefined && typeof cause[key] !== "string") warn(`"cause.${key}" must be a string.`);
+  }
+  if (cause.source !== undefined && !(cause.source in FAINT_SOURCES)) warn(`"cause.source" should be "wild" or "trainer", got ${JSON.stringify(cause.source)}.`);
+  if (cause.source === "wild" && cause.trainer) warn(`"cause.trainer" is set on a wild encounter.`);
+  for (const key of ["crit", "wipe"]) {
+    if (cause[key] !== undefined && typeof cause[key] !== "boolean") warn(`"cause.${key}" must be true or false.`);
+  }
+}
+
+/* "Killed by wild Sandslash's Icicle Spear (critical hit)" */
+function describeFaintCause(cause) {
+  if (!cause || (!cause.species && !cause.move)) return "";
+  const who = cause.species ? `${cause.source === "wild" ? "wild " : ""}${cause.species}` : "";
+  let text = who && cause.move ? `${who}'s ${cause.move}` : (who || cause.move);
+  const extras = [];
+  if (cause.trainer) extras.push(cause.trainer);
+  if (cause.crit) extras.push("critical hit");
+  if (extras.length) text += ` (${extras.join(", ")})`;
+  return `Killed by ${text}`;
+}
+
+function createFaintCauseLine(ev) {
+  const cause = faintCause(ev);
+  const text = describeFaintCause(cause);
+  if (!text && !cause?.wipe) return null;
+  const line = document.createElement("div");
+  line.className = "faint-cause";
+  if (text) line.appendChild(document.createTextNode(text));
+  if (cause.wipe) {
+    const chip = document.createElement("span");
+    chip.className = "wipe-chip";
+    chip.textContent = "Wipe";
+    chip.title = "Part of a multi-death wipe";
+    line.appendChild(chip);
+  }
+  return line;
+}
+
+/* victim ⚔ killer, or just the victim when the cause has no species */
+function createFaintVisual(ev) {
+  const victim = createSpriteImage(ev.pokemon?.species || ev.species || "", ev);
+  const killer = faintCause(ev)?.species;
+  if (!killer) return victim;
+  const row = document.createElement("div");
+  row.className = "faint-row";
+  row.appendChild(victim);
+  const vs = document.createElement("div");
+  vs.className = "faint-vs";
+  vs.textContent = "⚔";
+  vs.setAttribute("aria-hidden", "true");
+  row.appendChild(vs);
+  const img = createSpriteImage(killer, ev);
+  img.classList.add("killer-sprite");
+  img.alt = `${killer} (killer)`;
+  img.title = describeFaintCause(faintCause(ev));
+  row.appendChild(img);
+  return row;
+}
+
+registerEventType("fainted", {
+  label: "Fainted",
+  schema: {
+    required: ["pokemon.species", "pokemon.nickname", "location"],
+    recommended: ["pokemon.level", "timestamp", "video.url"]
+  },
+  header: () => "Fainted",
+  cardClass: "fainted",
+  locationLabel: "Died at:",
+  biography: (ev, location) => `Died${location ? ` at ${location}` : ""}`,
+  visual: createFaintVisual,
+  extra: createFaintCauseLine,
+  validate: validateFaintCause,
+  searchFields: (ev) => {
+    const cause = faintCause(ev);
+    return cause ? { species: [cause.species], notes: [cause.move, cause.trainer] } : {};
+  },
+  editor: {
+    fields: ["nickname", "species", "level", "location", "causeSpecies", "causeSource", "causeTrainer", "causeMove", "causeCrit", "causeWipe"],
+    toEvent: (val, values) => {
+      const ev = { pokemon: editorPokemon(val) };
+      const cause = {};
+      if (val("causeSpecies")) cause.species = val("causeSpecies");
+      if (val("causeSource")) cause.source = val("causeSource");
+      if (val("causeTrainer")) cause.trainer = val("causeTrainer");
+      if (val("causeMove")) cause.move = val("causeMove");
+      if (values.causeCrit) cause.crit = true;
+      if (values.causeWipe) cause.wipe = true;
+      if (Object.keys(cause).length) ev.cause = cause;
+      return ev;
+    },
+    side: "right"
+  }
+});
+
+registerEventType("evolved", {
+  label: "Evolved",
+  schema: {
+    required: ["from", "to"],
+    recommended: ["timestamp", "video.url"]
+  },
+  biography: (ev) => {
+    const { from, to } = evolutionNames(ev);
+    return `Evolved from ${from} into ${to}`;
+  },
+  header: (ev) => {
+    const level = ev.pokemon?.level ?? ev.level;
+    return level ? `Evolved at Level ${level}` : "Evolved";
+  },
+  visual: (ev) => {
+    const { from, to } = evolutionNames(ev);
+    const leftImg = createSpriteImage(from, ev);
+    leftImg.alt = from || "before";
+    const rightImg = createSpriteImage(to, ev);
+    rightImg.alt = to || "after";
+    const evoRow = document.createElement("div");
+    evoRow.className = "evolution-row";
+    evoRow.appendChild(leftImg);
+    const arrow = document.createElement("div");
+    arrow.className = "evolve-arrow";
+    arrow.textContent = "➡";
+    evoRow.appendChild(arrow);
+    evoRow.appendChild(rightImg);
+    return evoRow;
+  },
+  body: (ev) => {
+    const { from, to } = evolutionNames(ev);
+    const nick = ev.pokemon?.nickname || ev.nickname;
+    if (!from || !to) {
+      if (!ev.pokemon?.species) return null;
+      const line = document.createDocumentFragment();
+      line.appendChild(makeSpeciesFragment(ev.pokemon.species, ev.pokemon?.gender));
+      if (ev.pokemon?.nickname) {
+        line.appendChild(document.createTextNode(" • Named after "));
+        line.appendChild(createNicknameLink(ev.pokemon.nickname, ev));
+      }
+      return line;
+    }
+    const line = document.createDocumentFragment();
+    line.appendChild(document.createTextNode(from));
+    line.appendChild(document.createTextNode(" → "));
+    line.appendChild(makeSpeciesFragment(to, ev.pokemon?.gender));
+    if (nick) {
+      line.appendChild(document.createTextNode(" • Named after "));
+      line.appendChild(createNicknameLink(nick, ev));
+    }
+    return line;
+  },
+  editor: {
+    fields: ["nickname", "from", "to", "level", "types", "ability"],
+    toEvent: (val, values) => {
+      const ev = {};
+      const pokemon = { ...editorPokemon(val), ...editorPokemonDetails(values) };
+      if (Object.keys(pokemon).length) ev.pokemon = pokemon;
+      ev.from = val("from");
+      ev.to = val("to");
+      return ev;
+    }
+  }
+});
+
+// the gym banner is the card; the standard card only shows up if the banner fails to build
+registerEventType("badge", {
+  label: "Badge",
+  schema: {
+    required: ["badge"],
+    recommended: ["location", "pokemons", "timestamp", "video.url"]
+  },
+  element: createGymElement,
+  header: () => "Badge earned",
+  visual: (ev) => {
+    const badgeName = ev.badge || ev.badgeName || ev.name || ev.notes || "badge";
+    const badgeImg = document.createElement("img");
+    badgeImg.className = "badge-icon";
+    badgeImg.alt = badgeName;
+    const bUrl = badgeUrlFor(badgeName);
+    if (bUrl) badgeImg.src = bUrl;
+    attachPlaceholderOnErrorOrNull(badgeImg, badgeName, bUrl);
+    return badgeImg;
+  },
+  locationLabel: "Obtained at:",
+  team: eventTeam,
+  // the badge team is the roster's current team
+  roster: (ev, roster) => {
+    if (Array.isArray(ev.pokemons)) roster.lastTeam = addTeamToRoster(ev, roster, "Badge team member");
+  },
+  biography: (ev, location) => `Helped win the badge${location ? ` at ${location}` : ""}`,
+  searchFields: (ev) => {
+    const gym = ev.badge ? gymForBadge(ev.badge) : null;
+    return {
+      badge: [ev.badge, ev.badgeName, gym && gymBadgeName(gym), gym?.leader],
+      nick: eventTeam(ev).map(p => p?.nickname)
+    };
+  },
+  editor: {
+    fields: ["badge", "location", "pokemons"],
+    toEvent: (val) => {
+      const ev = { badge: val("badge") };
+      const pokemons = editorTeam(val);
+      if (pokemons.length) ev.pokemons = pokemons;
+      return ev;
+    }
+  }
+});
+
+// battle events: kind -> banner title
+const BATTLE_KINDS = {
+  rival: "Rival battle",
+  boss: "Boss battle",
+  elite_four: "Elite Four",
+  champion: "Champion"
+};
+const BATTLE_OUTCOMES = { won: "Victory!", lost: "Defeat" };
+
+/* opponent.team entries and the casualties/mvp nicknames must line up with the player's team */
+function validateBattleEvent(ev, warn) {
+  if (ev.kind !== undefined && !(ev.kind in BATTLE_KINDS)) warn(`Unknown battle "kind" "${ev.kind}" (use ${Object.keys(BATTLE_KINDS).join(", ")}).`);
+  if (ev.outcome !== undefined && !(ev.outcome in BATTLE_OUTCOMES)) warn(`"outcome" should be "won" or "lost", got ${JSON.stringify(ev.outcome)}.`);
+  const opponentTeam = ev.opponent?.team;
+  if (opponentTeam !== undefined && !Array.isArray(opponentTeam)) warn(`"opponent.team" must be an array.`);
+  else (opponentTeam || []).forEach((p, i) => {
+    if (isBlank(p?.species)) warn(`opponent.team[${i}] is missing "species".`);
+  });
+  const team = Array.isArray(ev.pokemons) ? ev.pokemons.map(p => p?.nickname).filter(Boolean) : [];
+  const casualties = ev.casualties ?? [];
+  if (!Array.isArray(casualties)) warn(`"casualties" must be a list of nicknames.`);
+  const named = (Array.isArray(casualties) ? casualties : []).concat(ev.mvp ? [ev.mvp] : []);
+  for (const nick of team.length ? named : []) {
+    if (!team.includes(nick)) warn(`"${nick}" isn't in this battle's "pokemons".`);
+  }
+}
+
+function isRivalBattle(ev, meta = CURRENT_RUN_META) {
+  if (normalizeEventType(ev?.type) !== "battle") return false;
+  const rival = meta?.rival?.name;
+  return ev.kind === "rival" || Boolean(rival && namesakeKey(ev.opponent?.name) === namesakeKey(rival));
+}
+
+// rival / boss / Elite Four / champion fights get a full-width banner like gyms
+registerEventType("battle", {
+  label: "Battle",
+  element: createBattleElement,
+  header: (ev) => `${BATTLE_KINDS[ev.kind] || "Battle"} vs. ${ev.opponent?.name || "???"}`,
+  visual: (ev) => createSpriteImage(ev.opponent?.team?.[0]?.species || "", ev),
+  body: () => null,
+  locationLabel: "Fought at:",
+  team: eventTeam,
+  casualties: (ev) => Array.isArray(ev.casualties) ? ev.casualties : [],
+  roster: (ev, roster) => {
+    addTeamToRoster(ev, roster, "Battle team member");
+  },
+  biography: (ev) => `${BATTLE_KINDS[ev.kind] || "Battle"} vs. ${ev.opponent?.name || "???"}${ev.outcome === "lost" ? " (lost)" : ""}`,
+  searchFields: (ev) => {
+    const opponentTeam = Array.isArray(ev.opponent?.team) ? ev.opponent.team : [];
+    return {
+      species: opponentTeam.map(p => p?.species),
+      nick: eventTeam(ev).map(p => p?.nickname).concat(ev.mvp, ev.casualties || []),
+      notes: [ev.opponent?.name],
+      type: [ev.kind, BATTLE_KINDS[ev.kind]]
+    };
+  },
+  schema: {
+    required: ["kind", "opponent.name", "outcome"],
+    recommended: ["location", "timestamp", "video.url"]
+  },
+  validate: validateBattleEvent,
+  editor: {
+    fields: ["kind", "opponentName", "opponentTeam", "outcome", "pokemons", "mvp", "casualties", "location"],
+    toEvent: (val) => {
+      const ev = { kind: val("kind"), opponent: { name: val("opponentName") } };
+      // "Charmeleon 18, Pidgeotto 17": species with an optional level
+      const opponentTeam = editorList(val("opponentTeam")).map(entry => {
+        const m = entry.match(/^(.*?)\s+(\d+)$/);
+        return m ? { species: m[1], level: Number(m[2]) } : { species: entry };
+      });
+      if (opponentTeam.length) ev.opponent.team = opponentTeam;
+      const pokemons = editorTeam(val);
+      if (pokemons.length) ev.pokemons = pokemons;
+      if (val("mvp")) ev.mvp = val("mvp");
+      ev.casualties = editorList(val("casualties"));
+      ev.outcome = val("outcome");
+      return ev;
+    }
+  }
+});
+
+registerEventType("no_event", {
+  label: "No major events",
+  schema: {
+    required: ["message"],
+    recommended: []
+  },
+  element: createNoEventElement,
+  minor: true,
+  searchFields: (ev) => ({ notes: [ev.message, ev.note] }),
+  editor: {
+    fields: ["message", "note"],
+    toEvent: (val) => {
+      const ev = { message: val("message") };
+      if (val("note")) ev.note = val("note");
+      return ev;
+    },
+    side: false
+  }
+});
+
+registerEventType("run_end", {
+  label: "Run ended",
+  schema: {
+    required: [],
+    recommended: ["notes"]
+  },
+  element: createRunEndElement,
+  locationLabel: "Final location:",
+  editor: { fields: [] }
+});
+
+/* ============================
+   Create DOM for an event
+   ============================ */
+/* The element the timeline shows for an event: the type's own element, else the standard card */
+function createTimelineCard(ev) {
+  const spec = eventTypeSpec(ev.type);
+  if (spec.element) {
+    try {
+      return spec.element(ev);
+    } catch (err) {
+      console.warn(`Failed to create ${normalizeEventType(ev.type)} element for event:`, ev, err);
+    }
+  }
+  const el = createEventElement(ev);
+  markSpecialEvent(ev, el, { featuredCreators: CURRENT_RUN_META?.featuredCreators });
+  return el;
+}
+
+/* The standard two-column card; what goes in it comes from the type's EVENT_TYPES entry */
+function createEventElement(ev) {
+  const spec = eventTypeSpec(ev.type);
+  const wrapper = document.createElement("article");
+  wrapper.className = "event " + ((ev.side === "right") ? "right" : "left");
+  if (ev.id) wrapper.dataset.id = ev.id;
+
+  const type = (ev.type || "").toLowerCase();
+  if (type) wrapper.classList.add(`type-${type}`);
+  if (spec.cardClass) wrapper.classList.add(spec.cardClass);
+
+ // Determine failed / illegal flags (the same checks the filters, stats and roster use)
+  const isFailed = isFailedEvent(ev);
+  const isIllegal = isIllegalEvent(ev);
+
+  // Priority: failed wins over illegal (change if you want opposite)
+  if (isFailed) {
+    wrapper.classList.add("failed");
+  } else if (isIllegal) {
+    wrapper.classList.add("illegal");
+  }
+
+  // Header
+  const header = document.createElement("div");
+  header.className = "event-header";
+  header.textContent = spec.header(ev, { failed: isFailed, illegal: isIllegal });
+
+  // If illegal and no special ribbon/special label planned, set the illegal ribbon now.
+  // (We check ev.special — if markSpecialEvent runs later it may override. This preserves
+  // illegal ribbon only when there's no other special label.)
+    // If failed (highest priority) -> show Failed ribbon unless event has explicit special label
+  if (isFailed && !ev.special) {
+    header.setAttribute("data-ribbon", "Failed Encounter");
+  }
+  // Otherwise if illegal (and no special) -> show Illegal ribbon
+  else if (isIllegal && !ev.special) {
+    header.setAttribute("data-ribbon", "Illegal Encounter");
+  }
+  wrapper.appendChild(header);
+
+  // Body
+  const body = document.createElement("div");
+  body.className = "event-body";
+
+  // Visual content (sprite / badge / evolution preview)
+  const visual = document.createElement("div");
+  visual.className = "visual";
+  const picture = spec.visual(ev);
+  if (picture) visual.appendChild(picture);
+
+  // Text column
+  const text = document.createElement("div");
+  text.className = "item-body";
+
+  const line = spec.body(ev);
+  if (line && line.childNodes.length) {
+    const speciesNick = document.createElement("div");
+    speciesNick.className = "species-nick";
+    speciesNick.appendChild(line);
+    text.appendChild(speciesNick);
+  }
+
+  // Obtained / died / location + timecode link
+  const obtainedLine = document.createElement("div");
+  obtainedLine.className = "obtained-line";
+  const location = ev.location || ev.obtained || ev.obtainedVia || ev.method || ev.fromLocation || "";
+  const locLabel = typeof spec.locationLabel === "function" ? spec.locationLabel(ev) : spec.locationLabel;
+  if (location) obtainedLine.appendChild(document.createTextNode(`${locLabel} ${location}`));
+  if (ev.timestamp && ev.video?.url) {
+    if (location) obtainedLine.appendChild(document.createTextNode(" at "));
+    const a = document.createElement("a");
+    a.href = ev.video.url;
+    a.target = "_blank";
+    a.rel = "noopener";
+    a.className = "video-link";
+    a.textContent = ev.timestamp;
+    obtainedLine.appendChild(a);
+  } else if (ev.timestamp && !location) {
+    obtainedLine.appendChild(document.createTextNode(ev.timestamp));
+  }
+  if (obtainedLine.textContent || obtainedLine.children.length) text.appendChild(obtainedLine);
+
+  const extra = spec.extra?.(ev);
+  if (extra) text.appendChild(extra);
+
+  const details = createPokemonDetails(ev.pokemon);
+  if (details) text.appendChild(details);
+
+  if (ev.notes) {
+    const notes = document.createElement("div");
+    notes.className = "item-notes";
+    notes.textContent = ev.notes;
+    text.appendChild(notes);
+  }
+
+  body.appendChild(visual);
+  body.appendChild(text);
+  wrapper.appendChild(body);
+  return wrapper;
+}
+
+/* ============================
+   markSpecialEvent - ribbon placed on header (data-ribbon)
+   simple: sets .special class and header data-ribbon; no floating DOMs
+   ============================ */
+/* Special-ribbon text for an event, or null when it gets none (shared by the card and the "special" filter) */
+function specialRibbonLabel(ev, featuredCreators) {
+  if (!ev) return null;
+  // meta.featuredCreators: catches named after one of them get a "Named after …!" ribbon
+  const featured = Array.isArray(featuredCreators) ? featuredCreators : [];
+  const nick = ev.pokemon?.nickname;
+  const featuredName = nick ? featured.find(name => namesakeKey(name) === namesakeKey(nick)) : null;
+  const namedAfter = featuredName ? `Named after ${featuredName}!` : null;
+
+  let specialLabel = null;
+  if (typeof ev.special === "string") specialLabel = ev.special;
+  else if (typeof ev.special === "object" && ev.special !== null) {
+    if (ev.special.label) specialLabel = ev.special.label;
+  } else if (ev.special === true) {
+    specialLabel = namedAfter || nick;
+  } else if (namedAfter && normalizeEventType(ev.type) === "caught" && !isFailedEvent(ev) && !isIllegalEvent(ev)) {
+    specialLabel = namedAfter;
+  } else {
+    return null;
+  }
+  return specialLabel || namedAfter || nick || "Special";
+}
+
+function markSpecialEvent(ev, el, opts = {}) {
+  if (!ev || !el) return;
+  const specialLabel = specialRibbonLabel(ev, opts.featuredCreators);
+  if (!specialLabel) return;
+
+  // Add class
+  el.classList.add("special");
+
+  // Put ribbon text on the header element via data-ribbon
+  const headerEl = el.querySelector(".event-header");
+  if (headerEl) {
+    headerEl.setAttribute("data-ribbon", specialLabel);
+  }
+
+  // Accessibility: a short aria label
+  el.setAttribute("aria-label", `${specialLabel} — special event`);
+}
+
+/* ============================
+   Episode expand/collapse helpers
+   ============================ */
+function toggleEpisodeSection(runKey, ep) {
+  const contents = document.getElementById(`episode-contents-${ep}`);
+  const banner = document.querySelector(`.episode-section[data-episode="${ep}"] .episode-banner`);
+  if (!contents || !banner) return;
+
+  const collapsedSet = loadCollapsedMap(runKey);
+
+  const isCollapsed = contents.classList.contains("collapsed");
+
+  if (isCollapsed) {
+    // ---- EXPAND ----
+    contents.classList.remove("collapsed");
+    contents.setAttribute("aria-hidden", "false");
+    banner.setAttribute("aria-expanded", "true");
+
+    // measure natural height
+    const targetHeight = contents.scrollHeight;
+
+    // ensure starting point for animation (0)
+    contents.style.maxHeight = "0px";
+    contents.style.overflow = "hidden";
+
+    // animate to measured height on next frame
+    requestAnimationFrame(() => {
+      contents.style.maxHeight = targetHeight + "px";
+    });
+
+    // after transition: remove max-height to allow natural flow
+    const onExpandEnd = (e) => {
+      if (e.propertyName === "max-height") {
+        contents.style.maxHeight = "none";
+        contents.style.overflow = "visible";
+        contents.removeEventListener("transitionend", onExpandEnd);
+      }
+    };
+    contents.addEventListener("transitionend", onExpandEnd);
+
+    // update persisted map => remove from collapsed
+    collapsedSet.delete(Number(ep));
+    setRunPref(runKey, "lastEpisode", Number(ep));
+    saveCollapsedMap(runKey, collapsedSet);
+
+  } else {
+    // ---- COLLAPSE ----
+    // measure current height to animate from it
+    const startH = contents.scrollHeight;
+    // set explicit pixel height (ensure animation from this height)
+    contents.style.maxHeight = startH + "px";
+    contents.style.overflow = "hidden";
+
+    // on next frame, animate to 0
+    requestAnimationFrame(() => {
+      contents.style.maxHeight = "0px";
+    });
+
+    // mark collapsed state immediately for ARIA and class
+    contents.classList.add("collapsed");
+    contents.setAttribute("aria-hidden", "true");
+    banner.setAttribute("aria-expanded", "false");
+
+    // After transition end, keep it collapsed state (maxHeight 0)
+    const onCollapseEnd = (e) => {
+      if (e.propertyName === "max-height") {
+        // keep maxHeight at 0 so it stays collapsed
+        contents.style.maxHeight = "0px";
+        contents.style.overflow = "hidden";
+        contents.removeEventListener("transitionend", onCollapseEnd);
+      }
+    };
+    contents.addEventListener("transitionend", onCollapseEnd);
+
+    // update persisted map => add to collapsed
+    collapsedSet.add(Number(ep));
+    saveCollapsedMap(runKey, collapsedSet);
+  }
+}
+
+/* Expand/Collapse all */
+function setAllCollapsed(runId, collapsed) {
+  const sections = document.querySelectorAll(`.episode-section`);
+  const map = loadCollapsedMap(runId);
+  if (collapsed) {
+    sections.forEach(sec => {
+      const ep = Number(sec.dataset.episode);
+      toggleEpisodeSection(runId, ep, false);
+      map.add(ep);
+    });
+  } else {
+    sections.forEach(sec => {
+      const ep = Number(sec.dataset.episode);
+      toggleEpisodeSection(runId, ep, true);
+      map.delete(ep);
+    });
+  }
+  saveCollapsedMap(runId, map);
+}
+
+/* ============================
+   Episode selector helpers
+   ============================ */
+function populateEpisodeSelector(episodes) {
+  const sel = document.getElementById("episode-selector");
+  if (!sel) return;
+  sel.innerHTML = "";
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = "Select…";
+  sel.appendChild(placeholder);
+  const runKey = CURRENT_RUN_ID || DEFAULT_RUN_ID;
+  const lastViewed = getRunPref(runKey, "lastEpisode");
+  for (const e of episodes) {
+    const opt = document.createElement("option");
+    opt.value = String(e.episode);
+    const label = episodeLabel(e.episode, e.title ? e : null);
+    opt.textContent = e.date ? `${label} — ${e.date}` : label;
+    if (Number(e.episode) === lastViewed) opt.textContent += " (last viewed)";
+    sel.appendChild(opt);
+  }
+  // offer to pick up where the visitor left off
+  if (lastViewed !== null && episodes.some(e => Number(e.episode) === lastViewed)) sel.value = String(lastViewed);
+
+  const jumpBtn = document.getElementById("jump-episode");
+  if (jumpBtn) {
+    jumpBtn.onclick = () => {
+      const val = sel.value;
+      if (!val) return;
+      const anchor = `episode-${val}`;
+      setRunPref(CURRENT_RUN_ID || DEFAULT_RUN_ID, "lastEpisode", Number(val));
+      toggleEpisodeSection(CURRENT_RUN_ID || DEFAULT_RUN_ID, Number(val), true);
+      history.replaceState(null, "", `#${anchor}`);
+      setTimeout(() => {
+        const target = document.getElementById(`episode-contents-${val}`);
+        if (!target) return;
+        const top = target.getBoundingClientRect().top + window.scrollY - SCROLL_OFFSET;
+        window.scrollTo({ top, behavior: "smooth" });
+      }, 90);
+    };
+  }
+}
+
+/* ============================
+   Permalink parsing & handling
+   ============================ */
+function parseHashAnchorAndParams() {
+  const params = new URLSearchParams(window.location.search || "");
+  const rawHash = (window.location.hash || "").replace(/^#/, "");
+  if (!rawHash) return { anchor: null, params };
+  const qIdx = rawHash.indexOf("?");
+  let anchor = rawHash;
+  if (qIdx !== -1) {
+    anchor = rawHash.substring(0, qIdx);
+    const hashQuery = rawHash.substring(qIdx + 1);
+    const hashParams = new URLSearchParams(hashQuery);
+    for (const [k, v] of hashParams.entries()) params.set(k, v);
+  }
+  return { anchor, params };
+}
+function handlePermalinkOnLoad() {
+  const { anchor, params } = parseHashAnchorAndParams();
+  const expandAndScroll = (episodeNum, shouldExpand) => {
+    toggleEpisodeSection(CURRENT_RUN_ID || DEFAULT_RUN_ID, episodeNum, Boolean(shouldExpand));
+    setTimeout(() => {
+      // scroll to banner position
+      const banner = document.querySelector(`.episode-section[data-episode="${episodeNum}"] .episode-banner`);
+      const target = banner || document.getElementById(`episode-contents-${episodeNum}`);
+      if (!target) return;
+      const top = target.getBoundingClientRect().top + window.scrollY - SCROLL_OFFSET;
+      window.scrollTo({ top, behavior: "smooth" });
+    }, 120);
+  };
+
+  if (anchor && anchor.startsWith("pokemon-")) {
+    openPokemonView(anchor.substring("pokemon-".length));
+    return;
+  }
+  closePokemonView();
+
+  if (anchor && anchor.startsWith("namesake-")) {
+    openNamesakeIndex(anchor.substring("namesake-".length));
+    return;
+  }
+
+  if (anchor && anchor.startsWith("event-")) {
+    openEventPermalink(decodeEventAnchor(anchor), params.get("spoiler") === "0");
+    return;
+  }
+
+  if (anchor && anchor.startsWith("episode-")) {
+    const m = /^episode-(\d+)$/.exec(anchor);
+    if (m) {
+      const ep = Number(m[1]);
+      const spoilerParam = params.get("spoiler");
+      const shouldExpand = (spoilerParam === "0") ? false : true;
+      expandAndScroll(ep, shouldExpand);
+      return;
+    }
+  }
+
+  const q = new URLSearchParams(window.location.search || "");
+  const epi = q.get("episode");
+  const spoilerQ = q.get("spoiler");
+  if (epi) {
+    const ep = Number(epi);
+    if (!Number.isNaN(ep)) {
+      const shouldExpand = (spoilerQ === "0") ? false : true;
+      expandAndScroll(ep, shouldExpand);
+    }
+  }
+}
+
+/* ============================
+   Event permalinks (#event-<id>)
+   ============================ */
+/* 🔗 on a card: copies #event-<id>, Shift+Click the spoiler-safe ?spoiler=0 variant */
+function addEventPermalink(card, ev) {
+  if (!card || !ev?.id) return;
+  card.id = `event-${ev.id}`;
+  card.dataset.id = ev.id;
+  // no-event and gym cards are wider than their visible box, so the button goes on the box
+  const host = card.querySelector(":scope > .no-event-card, :scope > .gym-banner") || card;
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "permalink event-permalink";
+  btn.title = "Click: copy link to this event — Shift+Click: copy spoiler-safe (hidden until clicked) link";
+  btn.setAttribute("aria-label", "Copy link to this event");
+  btn.textContent = "🔗";
+  btn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    const base = location.origin + location.pathname + location.search;
+    const anchor = `event-${encodeURIComponent(ev.id)}`;
+    copyLinkWithFeedback(btn, base + `#${anchor}` + (e.shiftKey ? "?spoiler=0" : ""));
+  });
+  host.appendChild(btn);
+}
+
+/* Restartable highlight so the eye finds the linked card */
+function pulseCard(card) {
+  card.classList.remove("permalink-pulse");
+  void card.offsetWidth; // restart the animation
+  card.classList.add("permalink-pulse");
+  card.addEventListener("animationend", () => card.classList.remove("permalink-pulse"), { once: true });
+}
+
+/* Blurs a card behind a "click to reveal" cover */
+function veilCard(card) {
+  if (card.classList.contains("spoiler-veiled")) return;
+  card.classList.add("spoiler-veiled");
+  const cover = document.createElement("button");
+  cover.type = "button";
+  cover.className = "spoiler-veil";
+  cover.textContent = "Spoiler — click to reveal";
+  cover.addEventListener("click", (e) => {
+    e.stopPropagation();
+    card.classList.remove("spoiler-veiled");
+    cover.remove();
+  });
+  card.appendChild(cover);
+}
+
+/* Dismissable note at the top of the timeline (replaced by the next one) */
+function showPermalinkNotice(text) {
+  const container = document.getElementById("timeline");
+  if (!container) return;
+  container.querySelector(".permalink-notice")?.remove();
+  const notice = document.createElement("div");
+  notice.className = "permalink-notice";
+  notice.setAttribute("role", "status");
+  const p = document.createElement("p");
+  p.textContent = text;
+  notice.appendChild(p);
+  const close = document.createElement("button");
+  close.className = "small-control";
+  close.textContent = "Dismiss";
+  close.addEventListener("click", () => notice.remove());
+  notice.appendChild(close);
+  container.prepend(notice);
+}
+
+/**
+ * openEventPermalink(id, spoilerSafe)
+ * Expands the card's episode, scrolls to it and pulses it. With spoilerSafe the
+ * episode's cards are blurred until clicked, like ?spoiler=0 keeps episodes collapsed.
+ */
+function openEventPermalink(id, spoilerSafe) {
+  const card = Array.from(TIMELINE_CARDS.values()).find(node => node.dataset.id === id);
+  if (!card) {
+    const hidden = CURRENT_RUN_ALL_EVENTS.find(ev => ev?.id === id);
+    const upTo = getWatchedUpTo(CURRENT_RUN_ID || DEFAULT_RUN_ID);
+    if (hidden && isAfterWatched(hidden, upTo)) showPermalinkNotice(`Event "${id}" is after episode ${upTo}, the last one you've watched. Move the spoiler guard to see it.`);
+    else showPermalinkNotice(`Event not found: this run has no event "${id}". The link may be old or meant for another run.`);
+    return;
+  }
+  if (card.classList.contains("filtered-out")) {
+    showPermalinkNotice(`Event "${id}" is hidden by the current filters.`);
+    return;
+  }
+  if (spoilerSafe) {
+    const cards = new Set(TIMELINE_CARDS.values());
+    card.closest(".episode-contents")?.querySelectorAll(":scope > [data-id]").forEach(node => {
+      if (cards.has(node)) veilCard(node);
+    });
+  }
+  scrollToCard(card);
+  setTimeout(() => pulseCard(card), 150);
+}
+
+/* "event-e023" -> "e023" (ids are URI-encoded in links) */
+function decodeEventAnchor(anchor) {
+  const raw = anchor.substring("event-".length);
+  try {
+    return decodeURIComponent(raw);
+  } catch (e) {
+    return raw;
+  }
+}
+
+function initEventPermalinks() {
+  window.addEventListener("hashchange", () => {
+    const { anchor, params } = parseHashAnchorAndParams();
+    if (anchor && anchor.startsWith("event-")) openEventPermalink(decodeEventAnchor(anchor), params.get("spoiler") === "0");
+  });
+}
+
+/* ============================
+   What's new (seen events per run & changelog)
+   ============================ */
+/**
+ * prefs.runs[<runId>].seen maps event id -> { hash, label } for every event the visitor has had
+ * on screen. The stored snapshot at the first load of a run in this page session is the baseline,
+ * so re-renders (spoiler guard, switching runs) keep the same NEW badges until the next visit.
+ */
+const SEEN_BASELINES = new Map();
+const NEW_TOAST_SHOWN = new Set();
+
+/* JSON with sorted keys, so reordering fields in events.json isn't an edit */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/* FNV-1a; only used to notice that an event changed */
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+/* "Episode 12 — Caught: Sparky", kept with the snapshot so removed events can still be named */
+function eventHeadline(ev) {
+  const type = eventTypeLabel(ev.type);
+  const gym = ev.badge ? gymForBadge(ev.badge) : null;
+  const subject = ev.pokemon?.nickname || ev.pokemon?.species || ev.badgeName || (gym ? gymBadgeName(gym) : "") || ev.species || "";
+  const what = subject ? `${type}: ${subject}` : type;
+  return ev.episode !== undefined && ev.episode !== null ? `Episode ${ev.episode} — ${what}` : what;
+}
+
+function seenSnapshot(events) {
+  const snap = {};
+  for (const ev of events || []) {
+    if (ev?.id) snap[ev.id] = { hash: hashString(stableStringify(ev)), label: eventHeadline(ev) };
+  }
+  return snap;
+}
+
+/**
+ * diffSeenEvents(seen, visibleEvents, fileEvents)
+ * -> { added: [ev], edited: [ev], removed: [{ id, label }] }
+ * Events behind the spoiler guard are neither new nor removed, just not seen yet.
+ * A first visit (seen === null) has no changes at all.
+ */
+function diffSeenEvents(seen, visibleEvents, fileEvents) {
+  const changes = { added: [], edited: [], removed: [] };
+  if (!seen) return changes;
+  const current = seenSnapshot(visibleEvents);
+  for (const ev of visibleEvents || []) {
+    if (!ev?.id) continue;
+    if (!seen[ev.id]) changes.added.push(ev);
+    else if (seen[ev.id].hash !== current[ev.id].hash) changes.edited.push(ev);
+  }
+  const inFile = new Set((fileEvents || []).map(ev => ev?.id));
+  for (const [id, entry] of Object.entries(seen)) {
+    if (!inFile.has(id)) changes.removed.push({ id, label: entry?.label || "" });
+  }
+  return changes;
+}
+
+/* Diffs against the session baseline, then records everything on screen as seen */
+function trackSeenEvents(runId, visibleEvents, fileEvents) {
+  if (!SEEN_BASELINES.has(runId)) SEEN_BASELINES.set(runId, getRunPref(runId, "seen"));
+  const changes = diffSeenEvents(SEEN_BASELINES.get(runId), visibleEvents, fileEvents);
+  // entries for events that are only hidden by the spoiler guard stay in the store
+  const inFile = new Set((fileEvents || []).map(ev => ev?.id));
+  const stored = Object.entries(getRunPref(runId, "seen") || {}).filter(([id]) => inFile.has(id));
+  setRunPref(runId, "seen", { ...Object.fromEntries(stored), ...seenSnapshot(visibleEvents) });
+  return changes;
+}
+
+function markNewCards(changes) {
+  for (const ev of changes.added) {
+    const card = TIMELINE_CARDS.get(ev);
+    if (!card) continue;
+    card.classList.add("is-new");
+    const host = card.querySelector(".event-header, :scope > .gym-banner, :scope > .no-event-card") || card;
+    const badge = document.createElement("span");
+    badge.className = "new-badge";
+    badge.title = "Added since your last visit";
+    badge.textContent = "NEW";
+    host.appendChild(badge);
+  }
+}
+
+function jumpToFirstNew() {
+  const card = document.querySelector("#timeline .is-new:not(.filtered-out)");
+  if (!card) return;
+  scrollToCard(card);
+  setTimeout(() => pulseCard(card), 150);
+}
+
+/* "4 new events in Episode 12" / "9 new events in Episodes 12–14" */
+function describeNewEvents(added) {
+  const n = added.length;
+  const episodes = Array.from(new Set(added.map(episodeNumber).filter(ep => ep !== null))).sort((a, b) => a - b);
+  let where = "";
+  if (episodes.length === 1) where = ` in Episode ${episodes[0]}`;
+  else if (episodes.length > 1) where = ` in Episodes ${episodes[0]}–${episodes[episodes.length - 1]}`;
+  return `${n} new event${n === 1 ? "" : "s"}${where}`;
+}
+
+/* Bottom-corner notice that hides itself; the action button closes it too */
+function showToast(text, actionLabel, onAction) {
+  const toast = document.getElementById("toast");
+  if (!toast) return;
+  toast.innerHTML = "";
+  clearTimeout(toast._hideTimer);
+  const msg = document.createElement("span");
+  msg.textContent = text;
+  toast.appendChild(msg);
+  if (actionLabel) {
+    const btn = document.createElement("button");
+    btn.className = "small-control";
+    btn.textContent = actionLabel;
+    btn.addEventListener("click", () => {
+      toast.hidden = true;
+      onAction();
+    });
+    toast.appendChild(btn);
+  }
+  const close = document.createElement("button");
+  close.className = "toast-close";
+  close.setAttribute("aria-label", "Dismiss");
+  close.textContent = "✕";
+  close.addEventListener("click", () => toast.hidden = true);
+  toast.appendChild(close);
+  toast.hidden = false;
+  toast._hideTimer = setTimeout(() => toast.hidden = true, 8000);
+}
+
+function createChangelogGroup(title, entries) {
+  const group = document.createElement("div");
+  group.className = "changelog-group";
+  const h = document.createElement("h4");
+  h.textContent = `${title} (${entries.length})`;
+  group.appendChild(h);
+  const list = document.createElement("ul");
+  for (const entry of entries) {
+    const li = document.createElement("li");
+    if (entry.ev) {
+      const a = document.createElement("a");
+      a.href = `#event-${encodeURIComponent(entry.ev.id)}`;
+      a.textContent = eventHeadline(entry.ev);
+      li.appendChild(a);
+    } else {
+      li.textContent = entry.label || "(unnamed event)";
+    }
+    const id = document.createElement("code");
+    id.textContent = entry.ev ? entry.ev.id : entry.id;
+    li.appendChild(document.createTextNode(" "));
+    li.appendChild(id);
+    list.appendChild(li);
+  }
+  group.appendChild(list);
+  return group;
+}
+
+/**
+ * renderWhatsNew(runId, changes)
+ * NEW badges, the jump button, the changelog panel and (once per run per visit) a toast.
+ */
+function renderWhatsNew(runId, changes) {
+  markNewCards(changes);
+  const newCount = changes.added.filter(ev => TIMELINE_CARDS.has(ev)).length;
+
+  const jumpBtn = document.getElementById("jump-new");
+  if (jumpBtn) {
+    jumpBtn.hidden = newCount === 0;
+    jumpBtn.textContent = `First new event (${newCount})`;
+    jumpBtn.onclick = jumpToFirstNew;
+  }
+
+  const panel = document.getElementById("changelog");
+  if (panel) {
+    panel.innerHTML = "";
+    const total = changes.added.length + changes.edited.length + changes.removed.length;
+    panel.hidden = total === 0;
+    if (total > 0) {
+      const header = document.createElement("div");
+      header.className = "data-problems-header";
+      const title = document.createElement("strong");
+      title.textContent = "Since your last visit";
+      header.appendChild(title);
+      const counts = document.createElement("span");
+      counts.className = "data-problems-counts";
+      counts.textContent = [
+        changes.added.length && `${changes.added.length} added`,
+        changes.edited.length && `${changes.edited.length} edited`,
+        changes.removed.length && `${changes.removed.length} removed`
+      ].filter(Boolean).join(", ");
+      header.appendChild(counts);
+
+      const toggle = document.createElement("button");
+      toggle.className = "btn small";
+      toggle.setAttribute("aria-expanded", "false");
+      toggle.textContent = "Show changes";
+      header.appendChild(toggle);
+      const seenBtn = document.createElement("button");
+      seenBtn.className = "btn small";
+      seenBtn.textContent = "Mark all as seen";
+      seenBtn.addEventListener("click", () => markAllSeen(runId));
+      header.appendChild(seenBtn);
+      panel.appendChild(header);
+
+      const body = document.createElement("div");
+      body.className = "changelog-body";
+      body.hidden = true;
+      if (changes.added.length) body.appendChild(createChangelogGroup("Added", changes.added.map(ev => ({ ev }))));
+      if (changes.edited.length) body.appendChild(createChangelogGroup("Edited", changes.edited.map(ev => ({ ev }))));
+      if (changes.removed.length) body.appendChild(createChangelogGroup("Removed", changes.removed));
+      panel.appendChild(body);
+
+      toggle.addEventListener("click", () => {
+        body.hidden = !body.hidden;
+        toggle.setAttribute("aria-expanded", body.hidden ? "false" : "true");
+        toggle.textContent = body.hidden ? "Show changes" : "Hide changes";
+      });
+    }
+  }
+
+  if (newCount > 0 && !NEW_TOAST_SHOWN.has(runId)) {
+    NEW_TOAST_SHOWN.add(runId);
+    showToast(describeNewEvents(changes.added), "Show me", jumpToFirstNew);
+  }
+}
+
+/* Drops the badges and changelog for this visit (the store already has the current events) */
+function markAllSeen(runId) {
+  SEEN_BASELINES.set(runId, getRunPref(runId, "seen"));
+  document.querySelectorAll("#timeline .is-new").forEach(card => {
+    card.classList.remove("is-new");
+    card.querySelector(".new-badge")?.remove();
+  });
+  renderWhatsNew(runId, { added: [], edited: [], removed: [] });
+  const toast = document.getElementById("toast");
+  if (toast) toast.hidden = true;
+}
+
+/* ============================
+   Render timeline (full)
+   ============================ */
+function renderTimeline(events) {
+  // --- Clear previous timeline container listeners by replacing with a fresh shallow clone ---
+  let container = document.getElementById("timeline");
+  const messageEl = document.getElementById("message");
+  if (!container) {
+    console.warn("No #timeline element found.");
+    return;
+  }
+
+  // Replace the timeline node with a shallow clone to remove any stray global listeners
+  const oldContainer = container;
+  const fresh = oldContainer.cloneNode(false);
+  fresh.id = oldContainer.id;
+  if (oldContainer.parentNode) oldContainer.parentNode.replaceChild(fresh, oldContainer);
+  container = fresh;
+
+  container.innerHTML = "";
+  TIMELINE_CARDS.clear();
+  if (messageEl) messageEl.hidden = true;
+
+  // episodes that only exist in meta.episodes still get a section, up to the watched episode
+  const runKey = CURRENT_RUN_ID || DEFAULT_RUN_ID;
+  const upTo = getWatchedUpTo(runKey);
+  const metaEpisodes = metaEpisodeNumbers(CURRENT_RUN_META).filter(ep => upTo === null || ep <= upTo);
+
+  if ((!events || events.length === 0) && metaEpisodes.length === 0) {
+    if (messageEl) {
+      messageEl.hidden = false;
+      messageEl.textContent = "No events found for this run.";
+    }
+    populateEpisodeSelector([]);
+    return;
+  }
+
+  // sort & group by episode
+  events = (events || []).sort(compareEventsByTime);
+
+  const episodesOrder = [];
+  const episodesMap = new Map();
+  for (const ev of events) {
+    const ep = ev.episode ?? 0;
+    if (!episodesMap.has(ep)) {
+      episodesMap.set(ep, []);
+      episodesOrder.push(ep);
+    }
+    episodesMap.get(ep).push(ev);
+  }
+  const loggedEpisodes = new Set(episodesOrder.map(Number));
+  const gaps = metaEpisodes.filter(ep => !loggedEpisodes.has(ep));
+  if (gaps.length) {
+    for (const ep of gaps) {
+      episodesMap.set(ep, []);
+      episodesOrder.push(ep);
+    }
+    episodesOrder.sort((a, b) => Number(a) - Number(b));
+  }
+
+  // persisted collapsed map handling
+  const persisted = loadCollapsedMap(runKey);
+  const hasPersisted = hasCollapsedMap(runKey);
+
+  // If user hasn't set preference, collapse the last episode by default (avoid spoilers)
+  if (!hasPersisted && episodesOrder.length > 0) {
+    const lastEp = episodesOrder[episodesOrder.length - 1];
+    persisted.add(Number(lastEp));
+    saveCollapsedMap(runKey, persisted);
+  }
+
+  const episodesArr = [];
+  for (const ep of episodesOrder) {
+    const section = document.createElement("section");
+    section.className = "episode-section";
+    section.dataset.episode = String(ep);
+
+    // Banner
+    const banner = document.createElement("div");
+    banner.className = "episode-banner";
+    banner.tabIndex = 0;
+    banner.setAttribute("role", "button");
+    const isExpanded = !persisted.has(Number(ep));
+    banner.setAttribute("aria-expanded", isExpanded ? "true" : "false");
+
+    const epDate = episodesMap.get(ep)[0]?.date;
+    if (epDate) section.dataset.date = epDate;
+    const info = episodeInfo(CURRENT_RUN_META, ep);
+    if (info?.title) section.dataset.title = info.title;
+    const titleSpan = document.createElement("span");
+    titleSpan.className = "episode-title";
+    titleSpan.textContent = episodeLabel(ep, info) + (epDate ? ` • ${epDate}` : "");
+    banner.appendChild(titleSpan);
+
+    const duration = formatEpisodeDuration(info?.duration);
+    if (duration) {
+      const durSpan = document.createElement("span");
+      durSpan.className = "episode-duration";
+      durSpan.title = `Runtime ${info.duration}`;
+      durSpan.textContent = duration;
+      banner.appendChild(durSpan);
+    }
+
+    // Pill for "no major events" if episode empty or contains an explicit no_event
+    const epEvents = episodesMap.get(ep) || [];
+    const containsNoEvent = epEvents.some(ev => eventTypeSpec(ev.type).minor);
+    if (epEvents.length === 0 || containsNoEvent) {
+      const pill = document.createElement("span");
+      pill.className = "no-event-pill";
+      pill.textContent = "No major events";
+      banner.appendChild(pill);
+    }
+
+    // small controls (permalink + chevron)
+    const controls = document.createElement("div");
+    controls.className = "controls";
+
+    const permBtn = document.createElement("button");
+    permBtn.className = "permalink";
+    permBtn.title = "Click: copy expanded link — Shift+Click: copy spoiler-safe (collapsed) link";
+    permBtn.innerHTML = "🔗";
+    permBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      const anchor = `episode-${ep}`;
+      const base = location.origin + location.pathname + location.search;
+      const expandedUrl = base + `#${anchor}`;
+      const safeUrl = base + `#${anchor}?spoiler=0`;
+      const toCopy = e.shiftKey ? safeUrl : expandedUrl;
+      copyLinkWithFeedback(permBtn, toCopy);
+    });
+    controls.appendChild(permBtn);
+
+    const chev = document.createElement("span");
+    chev.className = "chev";
+    chev.setAttribute("aria-hidden", "true");
+    chev.textContent = "▾";
+    controls.appendChild(chev);
+
+    banner.appendChild(controls);
+
+    // Banner click: toggle episode, but ignore clicks originating from interactive children
+    banner.addEventListener("click", (e) => {
+      if (e.target && e.target.closest && e.target.closest("a,button,input,select,textarea")) {
+        return; // allow interactive elements to act
+      }
+      toggleEpisodeSection(runKey, ep);
+    });
+
+    // keyboard handling (skip if focus on interactive child)
+    banner.addEventListener("keydown", (ev) => {
+      if ((ev.key === "Enter" || ev.key === " ") && !(ev.target && ev.target.closest && ev.target.closest("a,button,input,select,textarea"))) {
+        ev.preventDefault();
+        toggleEpisodeSection(runKey, ep);
+      }
+    });
+
+    section.appendChild(banner);
+
+    // contents container (collapsible)
+    const contents = document.createElement("div");
+    contents.className = "episode-contents";
+    contents.id = `episode-contents-${ep}`;
+    if (!isExpanded) {
+      contents.classList.add("collapsed");
+      contents.setAttribute("aria-hidden", "true");
+      contents.style.maxHeight = "0px";
+      contents.style.overflow = "hidden";
+    } else {
+      contents.setAttribute("aria-hidden", "false");
+      contents.style.overflow = "visible";
+      // measure real height and then clear max-height after transition for natural layout
+      requestAnimationFrame(() => {
+        const h = contents.scrollHeight;
+        contents.style.maxHeight = (h > 0 ? h + "px" : "0px");
+        const onEnd = (e) => {
+          if (e.propertyName === "max-height") {
+            contents.style.maxHeight = "none";
+            contents.removeEventListener("transitionend", onEnd);
+          }
+        };
+        contents.addEventListener("transitionend", onEnd);
+      });
+    }
+
+    // summary from meta.episodes sits above the episode's cards
+    if (info?.summary && epEvents.length > 0) {
+      const summary = document.createElement("p");
+      summary.className = "episode-summary";
+      summary.textContent = info.summary;
+      contents.appendChild(summary);
+    }
+
+    // If episode has no events at all — show subtle placeholder
+    if (epEvents.length === 0) {
+      const videoId = episodeVideoId(CURRENT_RUN_META, ep);
+      const placeholder = createNoEventElement({
+        message: "No major events in this episode.",
+        note: info?.summary || "Short video or housekeeping content.",
+        video: videoId ? { url: buildVideoUrl(videoId, null) } : undefined
+      });
+      placeholder.classList.add("episode-placeholder");
+      contents.appendChild(placeholder);
+    }
+
+    // one card per event, drawn by its type's EVENT_TYPES entry;
+    // cards are kept by event id so filtering can show/hide them instead of rebuilding
+    for (const ev of epEvents) {
+      const card = createTimelineCard(ev);
+      addEventPermalink(card, ev);
+      contents.appendChild(card);
+      TIMELINE_CARDS.set(ev, card);
+    }
+
+    section.appendChild(contents);
+    container.appendChild(section);
+    episodesArr.push({ episode: ep, date: epDate || "", title: info?.title || "" });
+
+    // ensure collapse animation is sized correctly when initially expanded
+    if (isExpanded) {
+      requestAnimationFrame(() => {
+        const h = contents.scrollHeight;
+        // animate to measured height and then clear to allow natural sizing
+        contents.style.maxHeight = (h > 0 ? h + "px" : "0px");
+        const onEnd = (e) => {
+          if (e.propertyName === "max-height") {
+            contents.style.maxHeight = "none";
+            contents.removeEventListener("transitionend", onEnd);
+          }
+        };
+        contents.addEventListener("transitionend", onEnd);
+      });
+    }
+  }
+
+  populateEpisodeSelector(episodesArr);
+  ensureExpandCollapseControls();
+  handlePermalinkOnLoad();
+
+  // ensure anchors/buttons inside timeline don't let banner handle their clicks
+  if (typeof ensureInteractiveTargetsInTimeline === "function") {
+    ensureInteractiveTargetsInTimeline();
+  } else {
+    // fallback: add minimal protection for anchors inside the timeline (stop propagation on pointerdown)
+    const interactiveEls = container.querySelectorAll("a,button,input,select,textarea");
+    interactiveEls.forEach(el => {
+      if (el.dataset._interactiveBound) return;
+      el.addEventListener("pointerdown", (e) => { e.stopPropagation(); }, { passive: true });
+      el.addEventListener("click", (e) => { e.stopPropagation(); });
+      el.dataset._interactiveBound = "1";
+    });
+  }
+}
+
+
+/* ============================
+   Expand/Collapse controls creation (only if not present)
+   ============================ */
+function ensureExpandCollapseControls() {
+  // If manual controls exist in HTML, just attach listeners
+  const expandBtnManual = document.getElementById("expand-all");
+  const collapseBtnManual = document.getElementById("collapse-all");
+  if (expandBtnManual && collapseBtnManual) {
+    expandBtnManual.onclick = () => setAllCollapsed(CURRENT_RUN_ID || DEFAULT_RUN_ID, false);
+    collapseBtnManual.onclick = () => setAllCollapsed(CURRENT_RUN_ID || DEFAULT_RUN_ID, true);
+    return;
+  }
+
+  // Otherwise inject into .controls container (last position)
+  const controlsSection = document.querySelector(".controls") || document.querySelector("section.controls");
+  if (!controlsSection) return;
+  // don't duplicate
+  if (document.getElementById("expand-all") || document.getElementById("collapse-all")) return;
+
+  const wrapper = document.createElement("div");
+  wrapper.className = "expand-collapse";
+
+  const expandAll = document.createElement("button");
+  expandAll.id = "expand-all";
+  expandAll.textContent = "Expand all";
+  expandAll.className = "small-control";
+  expandAll.addEventListener("click", () => setAllCollapsed(CURRENT_RUN_ID || DEFAULT_RUN_ID, false));
+
+  const collapseAll = document.createElement("button");
+  collapseAll.id = "collapse-all";
+  collapseAll.textContent = "Collapse all";
+  collapseAll.className = "small-control";
+  collapseAll.addEventListener("click", () => setAllCollapsed(CURRENT_RUN_ID || DEFAULT_RUN_ID, true));
+
+  wrapper.appendChild(expandAll);
+  wrapper.appendChild(collapseAll);
+  controlsSection.appendChild(wrapper);
+}
+
+/* ============================
+   Run details population
+   ============================ */
+function populateRunDetails(meta) {
+  const container = document.getElementById("run-details");
+  if (!container) return;
+  if (!meta) {
+    container.hidden = true;
+    return;
+  }
+  const playerSpriteEl = document.getElementById("player-sprite");
+  const rivalSpriteEl = document.getElementById("rival-sprite");
+  const playerNameEl = document.getElementById("player-name");
+  const rivalNameEl = document.getElementById("rival-name");
+  const playerSub = document.getElementById("player-sub");
+  const rivalSub = document.getElementById("rival-sub");
+
+  if (meta.player?.name) {
+    playerNameEl.textContent = meta.player.name;
+    playerSub.textContent = meta.player.subtitle || "";
+  } else {
+    playerNameEl.textContent = "";
+    playerSub.textContent = "";
+  }
+  const playerSpriteUrl = spriteUrlFor(meta.player?.species, spriteSetFor(null, meta));
+  if (playerSpriteUrl) playerSpriteEl.src = playerSpriteUrl;
+  attachPlaceholderOnErrorOrNull(playerSpriteEl, meta.player?.species, playerSpriteUrl);
+
+  if (meta.rival?.name) {
+    rivalNameEl.textContent = meta.rival.name;
+    rivalSub.textContent = meta.rival.subtitle || "";
+  } else {
+    rivalNameEl.textContent = "";
+    rivalSub.textContent = "";
+  }
+  const rivalSpriteUrl = spriteUrlFor(meta.rival?.species, spriteSetFor(null, meta));
+  if (rivalSpriteUrl) rivalSpriteEl.src = rivalSpriteUrl;
+  attachPlaceholderOnErrorOrNull(rivalSpriteEl, meta.rival?.species, rivalSpriteUrl);
+
+  // run ended meta indicator (optional)
+  if (meta.ended) {
+    const existing = container.querySelector(".run-ended-top");
+    const text = `Run ended: Episode ${meta.ended.episode}` + (meta.ended.date ? ` • ${meta.ended.date}` : "") + (meta.ended.note ? ` — ${meta.ended.note}` : "");
+    if (existing) existing.textContent = text;
+    else {
+      const el = document.createElement("div");
+      el.className = "run-ended-top";
+      el.textContent = text;
+      container.appendChild(el);
+    }
+  } else {
+    const existing = container.querySelector(".run-ended-top");
+    if (existing) existing.remove();
+  }
+  container.hidden = false;
+}
+
+/* "Battles (3): Ep. 12 ✓ · …" under the rival's name, linking to each card (events are already spoiler-guarded) */
+function renderRivalEncounters(events, meta) {
+  const nav = document.getElementById("rival-encounters");
+  if (!nav) return;
+  nav.innerHTML = "";
+  const battles = (events || []).filter(ev => isRivalBattle(ev, meta)).sort(compareEventsByTime);
+  nav.hidden = battles.length === 0;
+  if (battles.length === 0) return;
+  nav.appendChild(document.createTextNode(`Battles (${battles.length}): `));
+  battles.forEach((ev, i) => {
+    if (i) nav.appendChild(document.createTextNode(" · "));
+    const a = document.createElement("a");
+    a.href = `#event-${encodeURIComponent(ev.id)}`;
+    a.textContent = `Ep. ${ev.episode ?? "?"} ${ev.outcome === "lost" ? "✗" : "✓"}`;
+    a.title = `${BATTLE_OUTCOMES[ev.outcome] || "Battle"}${ev.location ? ` at ${ev.location}` : ""}`;
+    a.addEventListener("click", (e) => {
+      e.preventDefault();
+      history.replaceState(null, "", a.getAttribute("href"));
+      openEventPermalink(ev.id, false);
+    });
+    nav.appendChild(a);
+  });
+}
+
+/* ============================
+   Roster (derived from the event log)
+   ============================ */
+/**
+ * buildRoster(events, onIssue?)
+ * Replays the run in episode/timestamp order and builds each Pokémon's lifecycle,
+ * keyed by nickname: catch -> evolutions -> death.
+ * Evolutions without a nickname are matched to the living Pokémon whose current
+ * species equals `from`. onIssue(level, ev, message) is called for anything that
+ * doesn't add up (used by the validator).
+ * Returns { members: Map<nickname, entry>, alive: [], dead: [], lost: [], lastTeam: Set<nickname> }
+ * Each entry has a biography slug that tells apart holders of a reused nickname.
+ */
+function buildRoster(events, onIssue) {
+  const issue = typeof onIssue === "function" ? onIssue : () => {};
+  const lower = (s) => String(s || "").trim().toLowerCase();
+  const members = new Map(); // nickname -> current entry (latest catch wins for reused nicknames)
+  const holders = new Map(); // nickname -> how many catches have carried it so far
+  const all = [];            // every legal entry, including earlier holders of a reused nickname
+  const lost = [];           // failed / illegal encounters
+  const roster = { members, issue, lastTeam: new Set() }; // what the types' roster hooks add to
+  const sorted = (Array.isArray(events) ? events : []).filter(ev => ev && typeof ev === "object").slice().sort(compareEventsByTime);
+
+  const numericLevel = (lvl) => (Number.isInteger(lvl) && lvl > 0) ? lvl : null;
+
+  for (const ev of sorted) {
+    const type = normalizeEventType(ev.type);
+    const nick = ev.pokemon?.nickname || ev.nickname;
+
+    if (type === "caught") {
+      const failed = isFailedEvent(ev);
+      if (failed || isIllegalEvent(ev)) {
+        lost.push({
+          nickname: nick || null,
+          species: ev.pokemon?.species || ev.species || "",
+          gender: ev.pokemon?.gender || null,
+          level: numericLevel(ev.pokemon?.level),
+          details: pokemonDetails(ev.pokemon),
+          status: failed ? "failed" : "illegal",
+          event: ev
+        });
+        continue;
+      }
+      if (!nick) continue;
+      const existing = members.get(nick);
+      if (existing && existing.status === "alive") issue("warning", ev, `Nickname "${nick}" is already used by a living ${existing.species}.`);
+      const species = ev.pokemon?.species || ev.species || "";
+      // the first holder of a nickname keeps the plain slug, later ones get "-2", "-3"…
+      const nth = (holders.get(nick) || 0) + 1;
+      holders.set(nick, nth);
+      const entry = {
+        nickname: nick,
+        slug: nth === 1 ? pokemonSlug(nick) : `${pokemonSlug(nick)}-${nth}`,
+        species,
+        speciesLine: species ? [species] : [],
+        gender: ev.pokemon?.gender || null,
+        level: numericLevel(ev.pokemon?.level),
+        details: pokemonDetails(ev.pokemon),
+        status: "alive",
+        caught: ev,
+        died: null,
+        events: [ev]
+      };
+      members.set(nick, entry);
+      all.push(entry);
+
+    } else if (type === "fainted") {
+      if (!nick) continue;
+      const entry = members.get(nick);
+      if (!entry) {
+        issue("warning", ev, `"${nick}" faints but was never caught.`);
+        continue;
+      }
+      if (entry.status === "dead") {
+        issue("error", ev, `"${nick}" has already fainted earlier in the run.`);
+        continue;
+      }
+      if (ev.pokemon?.species && lower(entry.species) !== lower(ev.pokemon.species)) {
+        issue("warning", ev, `"${nick}" is currently a ${entry.species}, not a ${ev.pokemon.species}.`);
+      }
+      entry.status = "dead";
+      entry.died = ev;
+      entry.level = numericLevel(ev.pokemon?.level) ?? entry.level;
+      Object.assign(entry.details, pokemonDetails(ev.pokemon));
+      entry.events.push(ev);
+
+    } else if (type === "evolved") {
+      const from = ev.from || ev.pokemon?.from || ev.pokemon?.before;
+      const to = ev.to || ev.pokemon?.to || ev.pokemon?.after;
+      if (!from || !to) continue;
+      let entry = null;
+      if (nick) {
+        entry = members.get(nick);
+        if (!entry || entry.status !== "alive") {
+          issue("warning", ev, `"${nick}" evolves but isn't alive at this point.`);
+          continue;
+        }
+        if (lower(entry.species) !== lower(from)) issue("error", ev, `Evolution "from" is ${from}, but "${nick}" is currently a ${entry.species}.`);
+      } else {
+        const matches = Array.from(members.values()).filter(m => m.status === "alive" && lower(m.species) === lower(from));
+        if (matches.length === 0) {
+          issue("warning", ev, `No living Pokémon is currently a ${from}; check the evolution's "from".`);
+          continue;
+        }
+        if (matches.length > 1) issue("warning", ev, `Several living Pokémon are ${from}; add "pokemon.nickname" to say which one evolved.`);
+        entry = matches[0];
+      }
+      entry.species = to;
+      entry.speciesLine.push(to);
+      entry.level = numericLevel(ev.pokemon?.level) ?? entry.level;
+      Object.assign(entry.details, pokemonDetails(ev.pokemon));
+      entry.events.push(ev);
+
+    } else {
+      EVENT_TYPES[type]?.roster?.(ev, roster);
+    }
+  }
+
+  return {
+    members,
+    alive: all.filter(m => m.status === "alive"),
+    dead: all.filter(m => m.status === "dead").sort((a, b) => compareEventsByTime(a.died, b.died)),
+    lost,
+    lastTeam: roster.lastTeam
+  };
+}
+
+function createRosterCard(member) {
+  const card = document.createElement("div");
+  card.className = "roster-card " + member.status;
+
+  const img = document.createElement("img");
+  img.className = "roster-sprite";
+  img.alt = member.species || "pokemon";
+  const sUrl = spriteUrlFor(member.species, spriteSetFor(member.caught || member.event));
+  if (sUrl) img.src = sUrl;
+  attachPlaceholderOnErrorOrNull(img, member.species, sUrl);
+  card.appendChild(img);
+
+  const info = document.createElement("div");
+  info.className = "roster-info";
+
+  const name = document.createElement("div");
+  name.className = "roster-name";
+  if (member.nickname) name.appendChild(createNicknameLink(member.nickname, member.caught));
+  else name.textContent = "Not caught";
+  info.appendChild(name);
+
+  const species = document.createElement("div");
+  species.className = "roster-species";
+  species.appendChild(makeSpeciesFragment(member.species, member.gender));
+  if (member.level) species.appendChild(document.createTextNode(` • Lv. ${member.level}`));
+  info.appendChild(species);
+
+  const chips = createTypeChips(member.details?.types);
+  if (chips) info.appendChild(chips);
+  if (member.details?.ability) {
+    const ability = document.createElement("div");
+    ability.className = "roster-sub roster-ability";
+    ability.textContent = `Ability: ${member.details.ability}`;
+    info.appendChild(ability);
+  }
+
+  const sub = document.createElement("div");
+  sub.className = "roster-sub";
+  if (member.status === "dead" && member.died) {
+    sub.textContent = `Died Ep ${member.died.episode ?? "?"}` + (member.died.location ? ` • ${member.died.location}` : "");
+  } else {
+    const ev = member.caught || member.event;
+    const label = member.status === "failed" ? "Failed" : member.status === "illegal" ? "Illegal" : "Caught";
+    if (ev) sub.textContent = `${label} Ep ${ev.episode ?? "?"}` + (ev.location ? ` • ${ev.location}` : "");
+  }
+  if (sub.textContent) info.appendChild(sub);
+
+  card.appendChild(info);
+  return card;
+}
+
+function createRosterSection(title, members, opts = {}) {
+  const details = document.createElement("details");
+  details.className = "roster-section";
+  if (opts.open) details.open = true;
+
+  const summary = document.createElement("summary");
+  summary.textContent = `${title} (${members.length})`;
+  details.appendChild(summary);
+
+  const grid = document.createElement("div");
+  grid.className = "roster-grid";
+  if (members.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "roster-empty";
+    empty.textContent = opts.emptyText || "Nobody here yet.";
+    grid.appendChild(empty);
+  }
+  for (const m of members) {
+    const card = createRosterCard(m);
+    if (opts.markTeam && opts.markTeam.has(m.nickname)) card.classList.add("on-team");
+    if (opts.searchEntries) opts.searchEntries.set(card, rosterSearchEntry(m, opts.searchEntries.size));
+    grid.appendChild(card);
+  }
+  details.appendChild(grid);
+  return details;
+}
+
+function renderRoster(roster) {
+  const panel = document.getElementById("roster");
+  if (!panel) return;
+  panel.innerHTML = "";
+  if (!roster || (roster.alive.length + roster.dead.length + roster.lost.length) === 0) {
+    panel.hidden = true;
+    return;
+  }
+
+  const heading = document.createElement("div");
+  heading.className = "roster-header";
+  heading.textContent = "Current Team & PC Box";
+  panel.appendChild(heading);
+
+  const filter = document.createElement("input");
+  filter.type = "search";
+  filter.className = "roster-filter";
+  filter.placeholder = "Filter: name, species, ability:…, types:…, move:…";
+  filter.setAttribute("aria-label", "Filter the roster");
+  panel.appendChild(filter);
+
+  // Pokémon from the most recent badge team first, then the rest of the box in catch order
+  const searchEntries = new Map(); // card -> search entry
+  const alive = roster.alive.slice().sort((a, b) => Number(roster.lastTeam.has(b.nickname)) - Number(roster.lastTeam.has(a.nickname)));
+  panel.appendChild(createRosterSection("Alive", alive, { open: true, markTeam: roster.lastTeam, emptyText: "No Pokémon left alive.", searchEntries }));
+  panel.appendChild(createRosterSection("Dead (graveyard)", roster.dead, { emptyText: "No deaths so far.", searchEntries }));
+  panel.appendChild(createRosterSection("Failed/Illegal encounters", roster.lost, { emptyText: "No failed or illegal encounters.", searchEntries }));
+  filter.addEventListener("input", () => filterRosterCards(panel, searchEntries, filter.value));
+  panel.hidden = false;
+}
+
+/* Same query syntax as the timeline search, over what the roster knows about each Pokémon */
+function rosterSearchEntry(member, i) {
+  const ev = member.caught || member.event || member.died;
+  const d = member.details || {};
+  return {
+    key: `roster-${i}`,
+    episode: episodeNumber(ev),
+    fields: {
+      species: searchField(...(member.speciesLine || [member.species])),
+      nick: searchField(member.nickname),
+      loc: searchField(ev ? eventLocation(ev) : ""),
+      notes: searchField(ev?.notes),
+      ...pokemonSearchFields(d)
+    }
+  };
+}
+
+/* Hides non-matching cards and opens the sections that still have some */
+function filterRosterCards(panel, searchEntries, q) {
+  const hits = searchEvents(Array.from(searchEntries.values()), q);
+  for (const [card, entry] of searchEntries) card.hidden = Boolean(hits) && !hits.has(entry.key);
+  panel.querySelectorAll(".roster-section").forEach(section => {
+    const shown = section.querySelectorAll(".roster-card:not([hidden])").length;
+    if (hits) section.open = shown > 0;
+  });
+}
+
+/* ============================
+   Pokémon biography view (#pokemon-<nickname>)
+   ============================ */
+function pokemonSlug(nickname) {
+  return speciesToFilename(nickname) || "";
+}
+/* Remembers which Pokémon each event's nicknames belong to, so links reach the right holder */
+function indexPokemonSlugs(roster) {
+  for (const entry of roster.alive.concat(roster.dead)) {
+    for (const ev of entry.events) {
+      if (!POKEMON_SLUGS.has(ev)) POKEMON_SLUGS.set(ev, new Map());
+      POKEMON_SLUGS.get(ev).set(entry.nickname, entry.slug);
+    }
+  }
+}
+function pokemonSlugAt(ev, nickname) {
+  return (ev && POKEMON_SLUGS.get(ev)?.get(nickname)) || pokemonSlug(nickname);
+}
+
+/* ev: the event the link sits on (picks the holder of a reused nickname at that point) */
+function createNicknameLink(nickname, ev) {
+  const a = document.createElement("a");
+  a.className = "nick-link";
+  a.href = `#pokemon-${pokemonSlugAt(ev, nickname)}`;
+  a.textContent = nickname;
+  a.title = `Open ${nickname}'s story`;
+  return a;
+}
+
+/* Roster entry for a biography slug; falls back to nicknames only seen on failed/illegal catches */
+function findPokemonBySlug(events, slug) {
+  const roster = buildRoster(events);
+  const member = roster.alive.concat(roster.dead).find(m => m.slug === slug);
+  if (member) return member;
+  const lost = roster.lost.find(m => m.nickname && pokemonSlug(m.nickname) === slug);
+  if (!lost) return null;
+  return { ...lost, speciesLine: lost.species ? [lost.species] : [], caught: lost.event, died: null, events: [lost.event] };
+}
+
+/* Level the Pokémon had at a given event (team events carry it per team member, if at all) */
+function levelAtEvent(ev, nickname) {
+  const team = EVENT_TYPES[normalizeEventType(ev.type)]?.team;
+  if (team) return team(ev).find(x => x?.nickname === nickname)?.level ?? null;
+  return ev.pokemon?.level ?? ev.level ?? null;
+}
+
+function describeBiographyEvent(ev) {
+  const location = ev.location || ev.obtained || ev.obtainedVia || "";
+  const biography = EVENT_TYPES[normalizeEventType(ev.type)]?.biography;
+  if (biography) return biography(ev, location);
+  return ev.type ? capitalize(ev.type) : "Event";
+}
+
+function renderPokemonView(member, slug) {
+  const view = document.getElementById("pokemon-view");
+  if (!view) return;
+  view.innerHTML = "";
+  view.dataset.slug = slug;
+
+  const panel = document.createElement("div");
+  panel.className = "pokemon-view-panel";
+
+  const top = document.createElement("div");
+  top.className = "pokemon-view-top";
+  const back = document.createElement("button");
+  back.className = "small-control";
+  back.textContent = "← Back to timeline";
+  back.addEventListener("click", () => {
+    history.replaceState(null, "", location.pathname + location.search);
+    closePokemonView();
+  });
+  top.appendChild(back);
+
+  if (member) {
+    const perm = document.createElement("button");
+    perm.className = "permalink";
+    perm.title = "Copy link to this Pokémon's story";
+    perm.textContent = "🔗";
+    perm.addEventListener("click", () => copyLinkWithFeedback(perm, location.origin + location.pathname + location.search + `#pokemon-${slug}`));
+    top.appendChild(perm);
+  }
+  panel.appendChild(top);
+
+  if (!member) {
+    const msg = document.createElement("div");
+    msg.className = "message";
+    msg.textContent = "No Pokémon with that nickname was found in this run.";
+    panel.appendChild(msg);
+    view.appendChild(panel);
+    return;
+  }
+
+  // Header: sprite, nickname, species line, status
+  const head = document.createElement("div");
+  head.className = "pokemon-view-head";
+  const img = document.createElement("img");
+  img.className = "sprite";
+  img.alt = member.species || "pokemon";
+  const sUrl = spriteUrlFor(member.species, spriteSetFor(member.caught || member.event));
+  if (sUrl) img.src = sUrl;
+  attachPlaceholderOnErrorOrNull(img, member.species, sUrl);
+  head.appendChild(img);
+
+  const info = document.createElement("div");
+  const title = document.createElement("h2");
+  title.id = "pokemon-view-title";
+  title.textContent = `${member.nickname}'s story`;
+  info.appendChild(title);
+
+  const line = document.createElement("div");
+  line.className = "species-nick";
+  line.appendChild(makeSpeciesFragment((member.speciesLine.length ? member.speciesLine : [member.species]).join(" → "), member.gender));
+  info.appendChild(line);
+
+  const status = document.createElement("div");
+  status.className = "pokemon-view-status " + member.status;
+  if (member.status === "dead" && member.died) {
+    const d = member.died;
+    const lvl = levelAtEvent(d, member.nickname);
+    status.textContent = `Died at ${d.location || "an unknown location"} in Episode ${d.episode ?? "?"}` + (lvl ? ` (Lv. ${lvl})` : "") + (d.notes ? ` — ${d.notes}` : "");
+  } else if (member.status === "failed") {
+    status.textContent = "Never caught (failed encounter)";
+  } else if (member.status === "illegal") {
+    status.textContent = "Illegal encounter";
+  } else {
+    status.textContent = "Still alive" + (member.level ? ` • Lv. ${member.level}` : "");
+  }
+  info.appendChild(status);
+  head.appendChild(info);
+  panel.appendChild(head);
+
+  // Badges it helped win
+  const badgeEvents = member.events.filter(ev => normalizeEventType(ev.type) === "badge");
+  if (badgeEvents.length) {
+    const h = document.createElement("h3");
+    h.textContent = `Badges (${badgeEvents.length})`;
+    panel.appendChild(h);
+    const row = document.createElement("div");
+    row.className = "pokemon-view-badges";
+    for (const ev of badgeEvents) {
+      const b = document.createElement("div");
+      b.className = "pokemon-view-badge";
+      const bImg = document.createElement("img");
+      bImg.className = "badge-icon";
+      bImg.alt = ev.badge || "badge";
+      const bUrl = badgeUrlFor(ev.badge);
+      if (bUrl) bImg.src = bUrl;
+      attachPlaceholderOnErrorOrNull(bImg, ev.badge, bUrl);
+      b.appendChild(bImg);
+      const cap = document.createElement("div");
+      cap.textContent = ev.location || ev.badge || "";
+      b.appendChild(cap);
+      row.appendChild(b);
+    }
+    panel.appendChild(row);
+  }
+
+  // Every event it appears in
+  const h = document.createElement("h3");
+  h.textContent = "Timeline";
+  panel.appendChild(h);
+  const list = document.createElement("ol");
+  list.className = "pokemon-view-events";
+  for (const ev of member.events) {
+    const li = document.createElement("li");
+    li.className = `type-${normalizeEventType(ev.type)}`;
+
+    const when = document.createElement("span");
+    when.className = "pokemon-view-when";
+    when.textContent = `Episode ${ev.episode ?? "?"}`;
+    if (ev.timestamp && ev.video?.url) {
+      when.appendChild(document.createTextNode(" • "));
+      const a = document.createElement("a");
+      a.href = ev.video.url;
+      a.target = "_blank";
+      a.rel = "noopener";
+      a.className = "video-link";
+      a.textContent = ev.timestamp;
+      when.appendChild(a);
+    } else if (ev.timestamp) {
+      when.appendChild(document.createTextNode(` • ${ev.timestamp}`));
+    }
+    li.appendChild(when);
+
+    const what = document.createElement("div");
+    const lvl = levelAtEvent(ev, member.nickname);
+    what.textContent = describeBiographyEvent(ev) + (lvl ? ` (Lv. ${lvl})` : "");
+    li.appendChild(what);
+
+    if (ev.notes) {
+      const notes = document.createElement("div");
+      notes.className = "item-notes";
+      notes.textContent = ev.notes;
+      li.appendChild(notes);
+    }
+    list.appendChild(li);
+  }
+  panel.appendChild(list);
+  view.appendChild(panel);
+}
+
+function openPokemonView(slug) {
+  const view = document.getElementById("pokemon-view");
+  if (!view) return;
+  // permalink handling runs on every re-render; don't rebuild the same story
+  if (!view.hidden && view.dataset.slug === slug && view.dataset.runId === String(CURRENT_RUN_ID)) return;
+  renderPokemonView(findPokemonBySlug(CURRENT_RUN_EVENTS, slug), slug);
+  view.dataset.runId = String(CURRENT_RUN_ID);
+  view.hidden = false;
+  document.body.classList.add("pokemon-view-open");
+  view.scrollTop = 0;
+  view.querySelector("button")?.focus();
+}
+function closePokemonView() {
+  const view = document.getElementById("pokemon-view");
+  if (!view || view.hidden) return;
+  view.hidden = true;
+  view.innerHTML = "";
+  delete view.dataset.slug;
+  document.body.classList.remove("pokemon-view-open");
+}
+function initPokemonView() {
+  window.addEventListener("hashchange", () => {
+    const { anchor } = parseHashAnchorAndParams();
+    if (anchor && anchor.startsWith("pokemon-")) openPokemonView(anchor.substring("pokemon-".length));
+    else closePokemonView();
+  });
+  document.addEventListener("keydown", (e) => {
+    const view = document.getElementById("pokemon-view");
+    if (e.key === "Escape" && view && !view.hidden) {
+      history.replaceState(null, "", location.pathname + location.search);
+      closePokemonView();
+    }
+  });
+}
+
+/* ============================
+   Gym catalog (data/gyms.json) & badge case
+   ============================ */
+/*
+ * One entry per gym in game order: { key, order, town, leader, type, image, levelCap }, plus an
+ * optional badge name (only add it from a verified source; unnamed badges read "<town> Badge").
+ * Badge events point at it with their "badge" value (e.g. "Badge_Dresco"); badge events that
+ * aren't gyms (the Mega Bracelet) simply have no entry. meta.rules.levelCap may be `true` to
+ * use the catalog's caps, or keep its own { caps: [{ badge, level }] } to override them.
+ */
+let GYM_CATALOG = null; // gyms sorted by order
+
+async function loadGymCatalog() {
+  if (GYM_CATALOG) return GYM_CATALOG;
+  const doc = await fetchJson(GYMS_PATH);
+  GYM_CATALOG = (Array.isArray(doc?.gyms) ? doc.gyms : [])
+    .filter(g => g && typeof g.key === "string")
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  return GYM_CATALOG;
+}
+
+function gymForBadge(badge) {
+  const key = speciesToFilename(badge);
+  if (!key || !GYM_CATALOG) return null;
+  return GYM_CATALOG.find(g => speciesToFilename(g.key) === key) || null;
+}
+
+/* the catalog's badge name, else "Dresco Town Badge" */
+function gymBadgeName(gym) {
+  return gym.badge || `${gym.town || gym.key} Badge`;
+}
+
+/* [{ badge, level }] in gym order: the run's own caps, else the catalog's when the rule is just switched on */
+function levelCapsFor(rules) {
+  const rule = rules?.levelCap;
+  if (!rule) return [];
+  if (Array.isArray(rule.caps)) return rule.caps;
+  return (GYM_CATALOG || []).filter(g => Number.isInteger(g.levelCap)).map(g => ({ badge: g.key, level: g.levelCap }));
+}
+
+/* First cap whose badge hasn't been earned yet in these events ({ level, badge, gym }), or null */
+function currentLevelCap(events, rules) {
+  const caps = levelCapsFor(rules);
+  const earned = new Set((events || []).filter(ev => normalizeEventType(ev?.type) === "badge").map(ev => speciesToFilename(ev.badge)));
+  const next = caps.find(c => !earned.has(speciesToFilename(c.badge)));
+  return next ? { level: Number(next.level), badge: next.badge, gym: gymForBadge(next.badge) } : null;
+}
+
+/* Expand a card's episode if needed and bring the card into view */
+function scrollToCard(card) {
+  if (!card) return;
+  const section = card.closest(".episode-section");
+  const contents = section?.querySelector(".episode-contents");
+  if (contents && contents.classList.contains("collapsed")) toggleEpisodeSection(CURRENT_RUN_ID || DEFAULT_RUN_ID, section.dataset.episode);
+  setTimeout(() => {
+    const top = card.getBoundingClientRect().top + window.scrollY - SCROLL_OFFSET;
+    window.scrollTo({ top, behavior: "smooth" });
+  }, 120);
+}
+
+/* Strip under the run details: earned badges link to their event, upcoming ones are greyed out */
+function renderBadgeCase(events) {
+  const strip = document.getElementById("badge-case");
+  if (!strip) return;
+  strip.innerHTML = "";
+  if (!GYM_CATALOG || GYM_CATALOG.length === 0) {
+    strip.hidden = true;
+    return;
+  }
+  const badgeEvents = (events || []).filter(ev => normalizeEventType(ev?.type) === "badge").sort(compareEventsByTime);
+  for (const gym of GYM_CATALOG) {
+    const ev = badgeEvents.find(e => gymForBadge(e.badge) === gym);
+    const slot = document.createElement(ev ? "a" : "span");
+    slot.className = "badge-slot " + (ev ? "earned" : "upcoming");
+    const name = gymBadgeName(gym);
+    const who = [gym.leader, gym.town].filter(Boolean).join(", ");
+    slot.title = ev ? `${name} (${who}) — earned in Episode ${ev.episode ?? "?"}` : `${name} (${who}) — not earned yet`;
+    const img = document.createElement("img");
+    img.alt = name;
+    const url = badgeUrlFor(gym.key);
+    if (url) img.src = url;
+    attachPlaceholderOnErrorOrNull(img, gym.town || gym.key, url);
+    slot.appendChild(img);
+    const label = document.createElement("span");
+    label.className = "badge-slot-label";
+    label.textContent = gym.order ? `#${gym.order}` : name;
+    slot.appendChild(label);
+    if (ev) {
+      slot.href = ev.episode !== undefined ? `#episode-${ev.episode}` : "#";
+      slot.addEventListener("click", (e) => {
+        const card = ev.id ? document.querySelector(`#timeline [data-id="${CSS.escape(ev.id)}"]`) : null;
+        if (!card) return;
+        e.preventDefault();
+        scrollToCard(card);
+      });
+    }
+    strip.appendChild(slot);
+  }
+  strip.hidden = false;
+}
+
+/* Live cap next to the "Level Cap" rule in the rules panel */
+function renderLevelCapRule(events, rules) {
+  const li = document.querySelector('#rules-panel [data-rule="levelCap"]');
+  if (!li) return;
+  let live = li.querySelector(".rule-live");
+  if (!live) {
+    live = document.createElement("div");
+    live.className = "rule-live";
+    li.appendChild(live);
+  }
+  const caps = levelCapsFor(rules);
+  const cap = caps.length ? currentLevelCap(events, rules) : null;
+  if (caps.length === 0) live.textContent = "";
+  else if (!cap) live.textContent = "Current cap: none (every capped badge is earned).";
+  else {
+    const gym = cap.gym;
+    const until = gym ? `${gymBadgeName(gym)}${gym.leader ? ` from ${gym.leader}` : ""}${gym.town ? `, ${gym.town}` : ""}` : cap.badge;
+    live.textContent = `Current cap: Lv. ${cap.level} (until the ${until}).`;
+  }
+  live.hidden = !live.textContent;
+}
+
+/* ============================
+   Nuzlocke rule auditor
+   ============================ */
+// meta.json "rules" keys, in the order of the rules panel. A rule is active when its value is truthy.
+const RULE_LABELS = {
+  faintIsDeath: "Faint = death",
+  firstEncounterOnly: "First encounter only",
+  nicknameAll: "Nickname all Pokémon",
+  randomized: "Randomized",
+  blackoutIsGameOver: "Black Out = Game Over",
+  levelCap: "Level Cap",
+  itemsPerBattle: "4 Items per Battle"
+};
+
+/**
+ * auditRunRules(events, rules)
+ * Checks the machine-checkable rules from meta.json against the event log:
+ *  - firstEncounterOnly: a second catch (or failed catch) on the same location
+ *    ({ exempt: [...] } lists location substrings that don't use up the encounter)
+ *  - nicknameAll: a successful catch without a nickname
+ *  - faintIsDeath: a fainted Pokémon that still shows up in a later badge team or evolution
+ *  - levelCap: a level above the cap of the next badge (see levelCapsFor)
+ * Hand-tagged illegal catches are skipped; they're already marked.
+ * Returns a list of { id, episode, rule, message }.
+ */
+function auditRunRules(events, rules) {
+  const violations = [];
+  if (!rules || !Array.isArray(events)) return violations;
+  const flag = (ev, rule, message) => violations.push({ id: ev.id ?? null, episode: ev.episode ?? null, rule, message });
+  const lower = (s) => String(s || "").trim().toLowerCase();
+
+  const exempt = (Array.isArray(rules.firstEncounterOnly?.exempt) ? rules.firstEncounterOnly.exempt : []).map(lower);
+  const caps = levelCapsFor(rules);
+  let capIndex = 0;
+  const encounters = new Map(); // location -> first catch event
+  const dead = new Map(); // nickname -> fainted event
+  const sorted = events.filter(ev => ev && typeof ev === "object").slice().sort(compareEventsByTime);
+
+  const checkLevel = (ev, level, who) => {
+    if (!rules.levelCap || capIndex >= caps.length) return;
+    const cap = Number(caps[capIndex]?.level);
+    if (Number.isInteger(level) && Number.isFinite(cap) && level > cap) {
+      flag(ev, "levelCap", `${who} is Lv. ${level}, over the Lv. ${cap} cap for the next badge.`);
+    }
+  };
+
+  for (const ev of sorted) {
+    const type = normalizeEventType(ev.type);
+    const spec = EVENT_TYPES[type];
+    const nick = ev.pokemon?.nickname || ev.nickname;
+
+    if (type === "caught") {
+      if (isIllegalEvent(ev)) continue;
+      const loc = lower(ev.location);
+      if (rules.firstEncounterOnly && loc && !exempt.some(x => loc.includes(x))) {
+        const first = encounters.get(loc);
+        if (first) flag(ev, "firstEncounterOnly", `Second encounter on ${ev.location} (first was ${first.id || "an earlier catch"}).`);
+        else encounters.set(loc, ev);
+      }
+      if (isFailedEvent(ev)) continue;
+      if (rules.nicknameAll && !nick) flag(ev, "nicknameAll", "Caught without a nickname.");
+      if (nick) dead.delete(nick);
+
+    } else if (type === "fainted") {
+      checkLevel(ev, ev.pokemon?.level, nick || "This Pokémon");
+      if (nick) dead.set(nick, ev);
+
+    } else if (type === "evolved") {
+      checkLevel(ev, ev.pokemon?.level, nick || ev.to || "This Pokémon");
+      if (rules.faintIsDeath && nick && dead.has(nick)) flag(ev, "faintIsDeath", `${nick} already fainted but evolves here.`);
+
+    } else if (spec?.team) {
+      // casualties of the event itself are usually logged as fainted just before it, and a gym
+      // team lists who fought the gym, so only a faint from an earlier episode breaks the rule
+      const fellHere = new Set(spec.casualties?.(ev) || []);
+      for (const p of spec.team(ev)) {
+        const fainted = p?.nickname && !fellHere.has(p.nickname) ? dead.get(p.nickname) : null;
+        if (rules.faintIsDeath && fainted && (fainted.episode ?? 0) < (ev.episode ?? 0)) flag(ev, "faintIsDeath", `${p.nickname} already fainted but is listed in this ${spec.label.toLowerCase()} team.`);
+        checkLevel(ev, p?.level, p?.nickname || p?.species || "A team member");
+      }
+      // the cap steps up once the badge it belongs to is earned
+      if (type === "badge" && capIndex < caps.length && lower(caps[capIndex]?.badge) === lower(ev.badge)) capIndex++;
+    }
+  }
+  return violations;
+}
+
+/* Put auto-detected violations on the rendered cards (cards/gym banners carry data-id) */
+function markRuleViolations(violations) {
+  const container = document.getElementById("timeline");
+  if (!container || !violations) return;
+  const byId = new Map();
+  for (const v of violations) {
+    if (!v.id) continue;
+    if (!byId.has(v.id)) byId.set(v.id, []);
+    byId.get(v.id).push(v);
+  }
+  container.querySelectorAll("[data-id]").forEach(el => {
+    const list = byId.get(el.dataset.id);
+    if (!list) return;
+    el.classList.add("rule-violation");
+
+    // catches that break encounter rules look like hand-tagged illegal ones
+    const header = el.querySelector(".event-header");
+    if (header && !header.hasAttribute("data-ribbon")) {
+      header.setAttribute("data-ribbon", "Rule broken?");
+      if (list.some(v => v.rule === "firstEncounterOnly" || v.rule === "nicknameAll")) el.classList.add("illegal");
+    }
+
+    const box = document.createElement("ul");
+    box.className = "rule-violations";
+    for (const v of list) {
+      const li = document.createElement("li");
+      li.textContent = `⚠ ${RULE_LABELS[v.rule] || v.rule}: ${v.message}`;
+      box.appendChild(li);
+    }
+    (el.querySelector(".item-body") || el.querySelector(".gym-banner") || el).appendChild(box);
+  });
+}
+
+/* Reflect the run's rules in the static rules panel and list what the auditor found */
+function renderRulesAudit(rules, violations) {
+  const panel = document.getElementById("rules-panel");
+  if (!panel) return;
+  panel.querySelectorAll("[data-rule]").forEach(li => {
+    li.classList.toggle("rule-off", Boolean(rules) && !rules[li.dataset.rule]);
+  });
+
+  const summary = document.getElementById("rules-audit");
+  if (!summary) return;
+  summary.innerHTML = "";
+  if (!rules) {
+    summary.textContent = "This run has no machine-readable rules yet.";
+    return;
+  }
+  if (!violations || violations.length === 0) {
+    summary.textContent = "Rule check: no violations detected in this run.";
+    return;
+  }
+  const title = document.createElement("div");
+  title.className = "rules-audit-title";
+  title.textContent = `Rule check: ${violations.length} possible violation${violations.length === 1 ? "" : "s"}`;
+  summary.appendChild(title);
+  const list = document.createElement("ul");
+  for (const v of violations) {
+    const li = document.createElement("li");
+    li.textContent = `${v.id || "?"} (Episode ${v.episode ?? "?"}) — ${RULE_LABELS[v.rule] || v.rule}: ${v.message}`;
+    list.appendChild(li);
+  }
+  summary.appendChild(list);
+}
+
+/* ============================
+   Run statistics (inline SVG charts, no libraries)
+   ============================ */
+/**
+ * computeRunStats(events)
+ * Aggregates for the stats view: encounter outcomes, deaths by location/episode,
+ * average level at death, team size per episode and the gaps between badges.
+ */
+function computeRunStats(events) {
+  const sorted = (Array.isArray(events) ? events : []).filter(ev => ev && typeof ev === "object").slice().sort(compareEventsByTime);
+  const stats = {
+    encounters: 0,
+    failed: 0,
+    illegal: 0,
+    deaths: 0,
+    deathsByLocation: new Map(),
+    deathsByEpisode: new Map(),
+    avgDeathLevel: null,
+    teamSize: [],   // [{ episode, alive }]
+    badges: []      // [{ badge, location, episode, date, episodesSince, daysSince }]
+  };
+  if (sorted.length === 0) return stats;
+
+  const alive = new Set();
+  const deathLevels = [];
+  const firstEpisode = sorted[0].episode ?? 0;
+  let prevBadge = { episode: firstEpisode, date: sorted[0].date };
+  let currentEp = firstEpisode;
+
+  for (const ev of sorted) {
+    const ep = ev.episode ?? 0;
+    // close out every episode we've moved past (episodes without events keep the last size)
+    while (currentEp < ep) {
+      stats.teamSize.push({ episode: currentEp, alive: alive.size });
+      currentEp++;
+    }
+
+    const type = normalizeEventType(ev.type);
+    const nick = ev.pokemon?.nickname || ev.nickname;
+    if (type === "caught") {
+      stats.encounters++;
+      if (isFailedEvent(ev)) stats.failed++;
+      else if (isIllegalEvent(ev)) stats.illegal++;
+      else if (nick) alive.add(nick);
+    } else if (type === "fainted") {
+      stats.deaths++;
+      if (nick) alive.delete(nick);
+      const loc = ev.location || "Unknown";
+      stats.deathsByLocation.set(loc, (stats.deathsByLocation.get(loc) || 0) + 1);
+      stats.deathsByEpisode.set(ep, (stats.deathsByEpisode.get(ep) || 0) + 1);
+      if (Number.isInteger(ev.pokemon?.level)) deathLevels.push(ev.pokemon.level);
+    } else if (type === "badge") {
+      stats.badges.push({
+        badge: ev.badge || "Badge",
+        location: ev.location || "",
+        episode: ep,
+        date: ev.date || "",
+        episodesSince: ep - prevBadge.episode,
+        daysSince: daysBetween(prevBadge.date, ev.date)
+      });
+      prevBadge = { episode: ep, date: ev.date };
+    }
+  }
+  stats.teamSize.push({ episode: currentEp, alive: alive.size });
+
+  if (deathLevels.length) stats.avgDeathLevel = deathLevels.reduce((a, b) => a + b, 0) / deathLevels.length;
+  return stats;
+}
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+function svgEl(tag, attrs = {}, text) {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, String(v));
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/* Horizontal bar chart: rows = [{ label, value }] */
+function createBarChart(rows, opts = {}) {
+  const rowH = 22;
+  const labelW = opts.labelWidth || 170;
+  const width = 520;
+  const barW = width - labelW - 40;
+  const max = Math.max(1, ...rows.map(r => r.value));
+  const svg = svgEl("svg", { viewBox: `0 0 ${width} ${Math.max(rowH, rows.length * rowH)}`, class: "stats-chart", role: "img", "aria-label": opts.title || "bar chart" });
+  rows.forEach((r, i) => {
+    const y = i * rowH;
+    const label = svgEl("text", { x: labelW - 6, y: y + rowH / 2, "text-anchor": "end", "dominant-baseline": "middle", class: "chart-label" }, r.label);
+    label.appendChild(svgEl("title", {}, r.label));
+    svg.appendChild(label);
+    const w = Math.max(2, (r.value / max) * barW);
+    svg.appendChild(svgEl("rect", { x: labelW, y: y + 3, width: w, height: rowH - 6, rx: 4, class: "chart-bar" + (r.className ? " " + r.className : "") }));
+    svg.appendChild(svgEl("text", { x: labelW + w + 6, y: y + rowH / 2, "dominant-baseline": "middle", class: "chart-value" }, String(r.value)));
+  });
+  return svg;
+}
+
+/* Step/line chart over episodes: points = [{ x, y }] */
+function createLineChart(points, opts = {}) {
+  const width = 520;
+  const height = 180;
+  const pad = { l: 32, r: 10, t: 10, b: 24 };
+  const svg = svgEl("svg", { viewBox: `0 0 ${width} ${height}`, class: "stats-chart", role: "img", "aria-label": opts.title || "line chart" });
+  if (points.length === 0) return svg;
+  const minX = points[0].x;
+  const maxX = points[points.length - 1].x;
+  const maxY = Math.max(1, ...points.map(p => p.y));
+  const sx = (x) => pad.l + ((x - minX) / Math.max(1, maxX - minX)) * (width - pad.l - pad.r);
+  const sy = (y) => height - pad.b - (y / maxY) * (height - pad.t - pad.b);
+
+  // axes + a few gridlines
+  svg.appendChild(svgEl("line", { x1: pad.l, y1: height - pad.b, x2: width - pad.r, y2: height - pad.b, class: "chart-axis" }));
+  for (const y of [0, Math.round(maxY / 2), maxY]) {
+    svg.appendChild(svgEl("line", { x1: pad.l, y1: sy(y), x2: width - pad.r, y2: sy(y), class: "chart-grid" }));
+    svg.appendChild(svgEl("text", { x: pad.l - 6, y: sy(y), "text-anchor": "end", "dominant-baseline": "middle", class: "chart-label" }, String(y)));
+  }
+  for (const x of [minX, Math.round((minX + maxX) / 2), maxX]) {
+    svg.appendChild(svgEl("text", { x: sx(x), y: height - 6, "text-anchor": "middle", class: "chart-label" }, `Ep ${x}`));
+  }
+
+  const d = points.map((p, i) => `${i === 0 ? "M" : "L"}${sx(p.x).toFixed(1)},${sy(p.y).toFixed(1)}`).join(" ");
+  svg.appendChild(svgEl("path", { d, class: "chart-line" }));
+  for (const p of points) {
+    const dot = svgEl("circle", { cx: sx(p.x), cy: sy(p.y), r: 2.5, class: "chart-dot" });
+    dot.appendChild(svgEl("title", {}, `Episode ${p.x}: ${p.y}`));
+    svg.appendChild(dot);
+  }
+  return svg;
+}
+
+function createStatsCard(title, content) {
+  const card = document.createElement("div");
+  card.className = "stats-card";
+  const h = document.createElement("h3");
+  h.textContent = title;
+  card.appendChild(h);
+  if (typeof content === "string") {
+    const p = document.createElement("div");
+    p.className = "stats-empty";
+    p.textContent = content;
+    card.appendChild(p);
+  } else {
+    card.appendChild(content);
+  }
+  return card;
+}
+
+function renderRunStats(stats) {
+  const panel = document.getElementById("stats");
+  if (!panel) return;
+  panel.innerHTML = "";
+
+  // headline numbers
+  const tiles = document.createElement("div");
+  tiles.className = "stats-tiles";
+  const addTile = (label, value) => {
+    const t = document.createElement("div");
+    t.className = "stats-tile";
+    const v = document.createElement("div");
+    v.className = "stats-tile-value";
+    v.textContent = value;
+    const l = document.createElement("div");
+    l.className = "stats-tile-label";
+    l.textContent = label;
+    t.appendChild(v);
+    t.appendChild(l);
+    tiles.appendChild(t);
+  };
+  const caught = stats.encounters - stats.failed - stats.illegal;
+  addTile("Encounters", stats.encounters);
+  addTile("Caught", caught);
+  addTile("Catch rate", stats.encounters ? `${Math.round((caught / stats.encounters) * 100)}%` : "—");
+  addTile("Deaths", stats.deaths);
+  addTile("Avg. level at death", stats.avgDeathLevel === null ? "—" : stats.avgDeathLevel.toFixed(1));
+  addTile("Badges", stats.badges.length);
+  panel.appendChild(tiles);
+
+  const grid = document.createElement("div");
+  grid.className = "stats-grid";
+
+  grid.appendChild(createStatsCard("Encounters", createBarChart([
+    { label: "Caught", value: caught },
+    { label: "Failed", value: stats.failed, className: "failed" },
+    { label: "Illegal", value: stats.illegal, className: "illegal" }
+  ], { title: "Encounter outcomes", labelWidth: 80 })));
+
+  const byLoc = Array.from(stats.deathsByLocation.entries()).sort((a, b) => b[1] - a[1]).map(([label, value]) => ({ label, value, className: "death" }));
+  grid.appendChild(createStatsCard("Deaths by location", byLoc.length ? createBarChart(byLoc, { title: "Deaths by location" }) : "No deaths yet."));
+
+  const byEp = Array.from(stats.deathsByEpisode.entries()).sort((a, b) => a[0] - b[0]).map(([ep, value]) => ({ label: `Episode ${ep}`, value, className: "death" }));
+  grid.appendChild(createStatsCard("Deaths by episode", byEp.length ? createBarChart(byEp, { title: "Deaths by episode", labelWidth: 90 }) : "No deaths yet."));
+
+  grid.appendChild(createStatsCard("Team size over episodes", stats.teamSize.length > 1
+    ? createLineChart(stats.teamSize.map(p => ({ x: p.episode, y: p.alive })), { title: "Living Pokémon per episode" })
+    : "Not enough episodes yet."));
+
+  const gaps = stats.badges.map(b => ({
+    label: b.location || b.badge,
+    value: b.episodesSince,
+    className: "badge"
+  }));
+  const gapsCard = createStatsCard("Episodes between badges", gaps.length ? createBarChart(gaps, { title: "Episodes between badges" }) : "No badges yet.");
+  const days = stats.badges.filter(b => b.daysSince !== null);
+  if (days.length) {
+    const note = document.createElement("div");
+    note.className = "stats-note";
+    note.textContent = "Days between badges: " + days.map(b => `${b.location || b.badge} ${b.daysSince}d`).join(" • ");
+    gapsCard.appendChild(note);
+  }
+  grid.appendChild(gapsCard);
+
+  panel.appendChild(grid);
+}
+
+function initStatsToggle() {
+  const btn = document.getElementById("stats-toggle");
+  const panel = document.getElementById("stats");
+  if (!btn || !panel) return;
+  btn.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    btn.setAttribute("aria-expanded", panel.hidden ? "false" : "true");
+  });
 }
 
 /* ============================
-   Permalink parsing & handling
+   Cross-run comparison
    ============================ */
-function parseHashAnchorAndParams() {
-  const params = new URLSearchParams(window.location.search || "");
-  const rawHash = (window.location.hash || "").replace(/^#/, "");
-  if (!rawHash) return { anchor: null, params };
-  const qIdx = rawHash.indexOf("?");
-  let anchor = rawHash;
-  if (qIdx !== -1) {
-    anchor = rawHash.substring(0, qIdx);
-    const hashQuery = rawHash.substring(qIdx + 1);
-    const hashParams = new URLSearchParams(hashQuery);
-    for (const [k, v] of hashParams.entries()) params.set(k, v);
+/**
+ * summarizeRunProgress(events)
+ * Per-run numbers used by the comparison view: how far the run got, per-episode
+ * cumulative deaths/badges, deaths before each badge and the species it caught.
+ */
+function summarizeRunProgress(events) {
+  const sorted = (Array.isArray(events) ? events : []).filter(ev => ev && typeof ev === "object").slice().sort(compareEventsByTime);
+  const summary = {
+    lastEpisode: null,
+    deaths: 0,
+    badges: [],        // [{ label, episode, deathsBefore }]
+    byEpisode: new Map(), // episode -> { deaths, badges } (cumulative)
+    species: new Map(),   // lowercase species -> { species, nicknames: [] }
+    ended: false
+  };
+  for (const ev of sorted) {
+    const type = normalizeEventType(ev.type);
+    const ep = ev.episode ?? 0;
+    summary.lastEpisode = ep;
+    if (type === "fainted") summary.deaths++;
+    else if (type === "badge") summary.badges.push({ label: ev.location || ev.badge || "Badge", episode: ep, deathsBefore: summary.deaths });
+    else if (type === "caught" && !isFailedEvent(ev) && !isIllegalEvent(ev)) {
+      const species = ev.pokemon?.species || ev.species;
+      if (species) {
+        const key = species.trim().toLowerCase();
+        if (!summary.species.has(key)) summary.species.set(key, { species, nicknames: [] });
+        if (ev.pokemon?.nickname) summary.species.get(key).nicknames.push(ev.pokemon.nickname);
+      }
+    }
+    summary.byEpisode.set(ep, { deaths: summary.deaths, badges: summary.badges.length });
   }
-  return { anchor, params };
+  // a run_end only counts if nothing happened after it (run-02's end was revoked)
+  summary.ended = sorted.length > 0 && normalizeEventType(sorted[sorted.length - 1].type) === "run_end";
+  return summary;
 }
-function handlePermalinkOnLoad() {
-  const { anchor, params } = parseHashAnchorAndParams();
-  const expandAndScroll = (episodeNum, shouldExpand) => {
-    toggleEpisodeSection(CURRENT_RUN_ID || DEFAULT_RUN_ID, episodeNum, Boolean(shouldExpand));
-    setTimeout(() => {
-      // scroll to banner position
-      const banner = document.querySelector(`.episode-section[data-episode="${episodeNum}"] .episode-banner`);
-      const target = banner || document.getElementById(`episode-contents-${episodeNum}`);
-      if (!target) return;
-      const top = target.getBoundingClientRect().top + window.scrollY - SCROLL_OFFSET;
-      window.scrollTo({ top, behavior: "smooth" });
-    }, 120);
+
+/* cumulative value at an episode, carrying the last known value over empty episodes */
+function progressAtEpisode(summary, ep) {
+  let best = null;
+  for (const [e, v] of summary.byEpisode) {
+    if (e <= ep) best = v;
+  }
+  return best || { deaths: 0, badges: 0 };
+}
+
+function createCompareTable(headers, rows) {
+  const table = document.createElement("table");
+  table.className = "compare-table";
+  const thead = document.createElement("thead");
+  const hr = document.createElement("tr");
+  for (const h of headers) {
+    const th = document.createElement("th");
+    th.textContent = h;
+    hr.appendChild(th);
+  }
+  thead.appendChild(hr);
+  table.appendChild(thead);
+  const tbody = document.createElement("tbody");
+  for (const row of rows) {
+    const tr = document.createElement("tr");
+    for (const cell of row) {
+      const td = document.createElement("td");
+      td.textContent = cell;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  return table;
+}
+
+function renderRunComparison(runs, alignBy) {
+  const out = document.getElementById("compare-results");
+  if (!out) return;
+  out.innerHTML = "";
+  if (runs.length < 2) {
+    out.textContent = "Pick at least two runs to compare.";
+    return;
+  }
+  const titles = runs.map(r => r.title || r.id);
+
+  // How far each run got
+  out.appendChild(createCompareTable(
+    ["", ...titles],
+    [
+      ["Reached episode", ...runs.map(r => r.summary.lastEpisode ?? "—")],
+      ["Badges", ...runs.map(r => r.summary.badges.length)],
+      ["Deaths", ...runs.map(r => r.summary.deaths)],
+      ["Status", ...runs.map(r => r.summary.ended ? "Ended" : "Ongoing")]
+    ]
+  ));
+
+  const h = document.createElement("h3");
+  out.appendChild(h);
+  if (alignBy === "badge") {
+    h.textContent = "Lined up by badge count";
+    const maxBadges = Math.max(...runs.map(r => r.summary.badges.length));
+    const rows = [];
+    for (let i = 0; i < maxBadges; i++) {
+      rows.push([`Badge ${i + 1}`, ...runs.map(r => {
+        const b = r.summary.badges[i];
+        return b ? `${b.label} • Ep ${b.episode} • ${b.deathsBefore} death${b.deathsBefore === 1 ? "" : "s"} before` : "—";
+      })]);
+    }
+    out.appendChild(rows.length ? createCompareTable(["", ...titles], rows) : document.createTextNode("No badges in these runs yet."));
+  } else {
+    h.textContent = "Lined up by episode (cumulative deaths / badges)";
+    const maxEp = Math.max(...runs.map(r => r.summary.lastEpisode ?? 0));
+    const rows = [];
+    for (let ep = 1; ep <= maxEp; ep++) {
+      rows.push([`Episode ${ep}`, ...runs.map(r => {
+        if ((r.summary.lastEpisode ?? 0) < ep) return "—";
+        const p = progressAtEpisode(r.summary, ep);
+        return `${p.deaths} death${p.deaths === 1 ? "" : "s"} • ${p.badges} badge${p.badges === 1 ? "" : "s"}`;
+      })]);
+    }
+    out.appendChild(createCompareTable(["", ...titles], rows));
+  }
+
+  // Species that turned up in more than one run
+  const shared = new Map();
+  runs.forEach((r, i) => {
+    for (const [key, s] of r.summary.species) {
+      if (!shared.has(key)) shared.set(key, { species: s.species, runs: [] });
+      shared.get(key).runs.push(`${titles[i]}${s.nicknames.length ? ` (${s.nicknames.join(", ")})` : ""}`);
+    }
+  });
+  const repeated = Array.from(shared.values()).filter(s => s.runs.length > 1).sort((a, b) => a.species.localeCompare(b.species));
+  const sh = document.createElement("h3");
+  sh.textContent = `Species caught in more than one run (${repeated.length})`;
+  out.appendChild(sh);
+  if (repeated.length === 0) {
+    out.appendChild(document.createTextNode("No species in common."));
+  } else {
+    const list = document.createElement("div");
+    list.className = "compare-species";
+    for (const s of repeated) {
+      const item = document.createElement("div");
+      item.className = "compare-species-item";
+      const img = document.createElement("img");
+      img.className = "roster-sprite";
+      img.alt = s.species;
+      const url = spriteUrlFor(s.species);
+      if (url) img.src = url;
+      attachPlaceholderOnErrorOrNull(img, s.species, url);
+      item.appendChild(img);
+      const txt = document.createElement("div");
+      const name = document.createElement("strong");
+      name.textContent = s.species;
+      txt.appendChild(name);
+      txt.appendChild(document.createElement("br"));
+      txt.appendChild(document.createTextNode(s.runs.join(" • ")));
+      item.appendChild(txt);
+      list.appendChild(item);
+    }
+    out.appendChild(list);
+  }
+}
+
+async function runComparison() {
+  const panel = document.getElementById("compare");
+  if (!panel) return;
+  const ids = Array.from(panel.querySelectorAll("input[name=compare-run]:checked")).map(el => el.value);
+  const alignBy = document.getElementById("compare-align")?.value || "episode";
+  const runs = (await loadGuardedRuns(ids.map(id => RUNS_LIST.find(r => r.id === id) || { id })))
+    .map(r => ({ id: r.id, title: r.title, summary: summarizeRunProgress(r.events) }));
+  renderRunComparison(runs, alignBy);
+}
+
+function initCompareMode(runs) {
+  const btn = document.getElementById("compare-toggle");
+  const panel = document.getElementById("compare");
+  const picker = document.getElementById("compare-runs");
+  if (!btn || !panel || !picker) return;
+
+  picker.innerHTML = "";
+  for (const r of runs) {
+    const label = document.createElement("label");
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.name = "compare-run";
+    cb.value = r.id;
+    cb.checked = true;
+    cb.addEventListener("change", runComparison);
+    label.appendChild(cb);
+    label.appendChild(document.createTextNode(" " + (r.title || r.id)));
+    picker.appendChild(label);
+  }
+  document.getElementById("compare-align")?.addEventListener("change", runComparison);
+
+  btn.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    btn.setAttribute("aria-expanded", panel.hidden ? "false" : "true");
+    if (!panel.hidden) runComparison();
+  });
+}
+
+/* ============================
+   Namesake index (House Fruit members the Pokémon are named after)
+   ============================ */
+const NAMESAKE_LEADERBOARD_SIZE = 25;
+
+/* Nicknames cap at 10 characters, so long names end in "..." ("Stratton1..."); those match on the prefix */
+function namesakeKey(nickname) {
+  return String(nickname || "").trim().replace(/(\.\.\.|…)$/, "").trim().toLowerCase();
+}
+function namesakeSlug(name) {
+  return speciesToFilename(namesakeKey(name)) || "";
+}
+
+function episodeNumber(ev) {
+  const ep = Number(ev?.episode);
+  return (ev?.episode !== undefined && ev?.episode !== null && Number.isInteger(ep)) ? ep : null;
+}
+function daysBetween(a, b) {
+  const ms = Date.parse(b) - Date.parse(a);
+  return Number.isNaN(ms) ? null : Math.round(ms / 86400000);
+}
+
+/**
+ * buildNamesakeIndex(runs)
+ * runs: [{ id, title, events }]. Every legally caught Pokémon becomes an entry under
+ * the member it's named after, with how long it lived (episodes, and days where the
+ * dates allow), how it died and how many badges it helped win.
+ * Returns Map<key, { key, slug, name, pokemon: [] }>
+ */
+function buildNamesakeIndex(runs) {
+  const index = new Map();
+  for (const run of runs) {
+    const roster = buildRoster(run.events);
+    const lastEvent = (run.events || []).filter(ev => ev && typeof ev === "object").slice().sort(compareEventsByTime).pop();
+    for (const m of roster.alive.concat(roster.dead)) {
+      const key = namesakeKey(m.nickname);
+      if (!key) continue;
+      if (!index.has(key)) index.set(key, { key, slug: namesakeSlug(m.nickname), name: m.nickname.replace(/(\.\.\.|…)$/, "").trim(), pokemon: [] });
+      const person = index.get(key);
+      const end = m.died || lastEvent;
+      const from = episodeNumber(m.caught);
+      const to = episodeNumber(end);
+      person.pokemon.push({
+        runId: run.id,
+        runTitle: run.title || run.id,
+        nickname: m.nickname,
+        slug: m.slug,
+        species: m.species,
+        speciesLine: m.speciesLine,
+        status: m.status,
+        caught: m.caught,
+        died: m.died,
+        episodesLived: (from !== null && to !== null) ? Math.max(0, to - from) : null,
+        daysLived: (m.caught?.date && end?.date) ? daysBetween(m.caught.date, end.date) : null,
+        badges: m.events.filter(ev => normalizeEventType(ev.type) === "badge").length
+      });
+    }
+  }
+  return index;
+}
+
+/* Longest-lived first; ties go to whoever lived more days, then alphabetically */
+function namesakeLeaderboard(index) {
+  const rows = [];
+  for (const person of index.values()) {
+    for (const p of person.pokemon) rows.push({ person, pokemon: p });
+  }
+  return rows.sort((a, b) =>
+    (b.pokemon.episodesLived ?? -1) - (a.pokemon.episodesLived ?? -1) ||
+    (b.pokemon.daysLived ?? -1) - (a.pokemon.daysLived ?? -1) ||
+    a.person.name.localeCompare(b.person.name));
+}
+
+function describeNamesakeLife(p) {
+  const lived = p.episodesLived === null ? "" : `${p.episodesLived} episode${p.episodesLived === 1 ? "" : "s"}`;
+  const days = p.daysLived === null ? "" : ` (${p.daysLived} day${p.daysLived === 1 ? "" : "s"})`;
+  if (p.status === "dead") {
+    const where = p.died.location ? ` at ${p.died.location}` : "";
+    return `Died in episode ${p.died.episode ?? "?"}${where}` + (lived ? ` after ${lived}${days}` : "");
+  }
+  return "Still alive" + (lived ? ` — ${lived}${days} so far` : "");
+}
+
+/* Link into the run the Pokémon belongs to (biography view) */
+function namesakePokemonLink(p) {
+  const a = document.createElement("a");
+  a.className = "nick-link";
+  a.href = `?run=${encodeURIComponent(p.runId)}#pokemon-${p.slug || pokemonSlug(p.nickname)}`;
+  a.textContent = p.speciesLine.join(" → ") || p.species || p.nickname;
+  return a;
+}
+
+function createNamesakeLink(person) {
+  const a = document.createElement("a");
+  a.className = "namesake-link";
+  a.href = `#namesake-${person.slug}`;
+  a.textContent = person.name;
+  return a;
+}
+
+function createNamesakePerson(person) {
+  const card = document.createElement("article");
+  card.className = "namesake-person";
+  card.id = `namesake-card-${person.slug}`;
+
+  const head = document.createElement("div");
+  head.className = "namesake-person-head";
+  const h = document.createElement("h3");
+  h.textContent = person.name;
+  head.appendChild(h);
+  const perm = document.createElement("button");
+  perm.className = "permalink";
+  perm.title = `Copy link to ${person.name}'s namesakes`;
+  perm.textContent = "🔗";
+  perm.addEventListener("click", () => copyLinkWithFeedback(perm, location.origin + location.pathname + location.search + `#namesake-${person.slug}`));
+  head.appendChild(perm);
+  const back = document.createElement("button");
+  back.className = "small-control";
+  back.textContent = "All namesakes";
+  back.addEventListener("click", () => {
+    history.replaceState(null, "", location.pathname + location.search);
+    renderNamesakeIndex(NAMESAKE_INDEX, { person: null });
+  });
+  head.appendChild(back);
+  card.appendChild(head);
+
+  const badgeWinners = person.pokemon.filter(p => p.badges > 0).length;
+  const summary = document.createElement("p");
+  summary.className = "namesake-person-summary";
+  summary.textContent = `${person.pokemon.length} Pokémon named after ${person.name} • ` +
+    (badgeWinners ? `${badgeWinners} earned a badge` : "none earned a badge");
+  card.appendChild(summary);
+
+  const list = document.createElement("ul");
+  list.className = "namesake-pokemon";
+  for (const p of person.pokemon) {
+    const li = document.createElement("li");
+    li.className = p.status;
+    const img = document.createElement("img");
+    img.className = "roster-sprite";
+    img.alt = p.species || "pokemon";
+    const url = spriteUrlFor(p.species);
+    if (url) img.src = url;
+    attachPlaceholderOnErrorOrNull(img, p.species, url);
+    li.appendChild(img);
+
+    const info = document.createElement("div");
+    const name = document.createElement("div");
+    name.appendChild(namesakePokemonLink(p));
+    name.appendChild(document.createTextNode(` • ${p.runTitle}`));
+    info.appendChild(name);
+    const caught = document.createElement("div");
+    caught.className = "roster-meta";
+    caught.textContent = `Caught in episode ${p.caught.episode ?? "?"}` + (p.caught.location ? ` at ${p.caught.location}` : "");
+    info.appendChild(caught);
+    const life = document.createElement("div");
+    life.className = "roster-meta";
+    life.textContent = describeNamesakeLife(p) + (p.status === "dead" && p.died.notes ? ` — ${p.died.notes}` : "");
+    info.appendChild(life);
+    const badges = document.createElement("div");
+    badges.className = "roster-meta";
+    badges.textContent = p.badges ? `🏅 Helped win ${p.badges} badge${p.badges === 1 ? "" : "s"}` : "No badges";
+    info.appendChild(badges);
+    li.appendChild(info);
+    list.appendChild(li);
+  }
+  card.appendChild(list);
+  return card;
+}
+
+/**
+ * renderNamesakeIndex(index, { query, person })
+ * Either one member's page (person = slug) or the searchable leaderboard + member list.
+ */
+function renderNamesakeIndex(index, opts = {}) {
+  const out = document.getElementById("namesake-results");
+  if (!out || !index) return;
+  out.innerHTML = "";
+
+  if (opts.person) {
+    const person = Array.from(index.values()).find(p => p.slug === opts.person);
+    if (!person) {
+      out.textContent = "Nobody by that name has a Pokémon named after them (yet).";
+      return;
+    }
+    out.appendChild(createNamesakePerson(person));
+    return;
+  }
+
+  const q = (opts.query || "").trim().toLowerCase();
+  const matches = (row) => !q || row.person.name.toLowerCase().includes(q) || row.pokemon.speciesLine.some(s => s.toLowerCase().includes(q));
+  const rows = namesakeLeaderboard(index).filter(matches);
+
+  const h = document.createElement("h3");
+  h.textContent = "Longest-lived namesakes";
+  out.appendChild(h);
+  if (rows.length === 0) {
+    out.appendChild(document.createTextNode("No namesakes match your search."));
+    return;
+  }
+
+  const table = document.createElement("table");
+  table.className = "compare-table namesake-table";
+  const thead = document.createElement("thead");
+  const hr = document.createElement("tr");
+  for (const label of ["#", "Member", "Pokémon", "Run", "Lived", "Fate", "Badges"]) {
+    const th = document.createElement("th");
+    th.textContent = label;
+    hr.appendChild(th);
+  }
+  thead.appendChild(hr);
+  table.appendChild(thead);
+  const tbody = document.createElement("tbody");
+  rows.slice(0, NAMESAKE_LEADERBOARD_SIZE).forEach((row, i) => {
+    const p = row.pokemon;
+    const tr = document.createElement("tr");
+    tr.className = p.status;
+    const cells = [
+      String(i + 1),
+      createNamesakeLink(row.person),
+      namesakePokemonLink(p),
+      p.runTitle,
+      p.episodesLived === null ? "—" : `${p.episodesLived} ep${p.episodesLived === 1 ? "" : "s"}`,
+      p.status === "dead" ? `Died ep ${p.died.episode ?? "?"}` : "Alive",
+      String(p.badges)
+    ];
+    for (const cell of cells) {
+      const td = document.createElement("td");
+      if (typeof cell === "string") td.textContent = cell;
+      else td.appendChild(cell);
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  out.appendChild(table);
+
+  const people = Array.from(new Set(rows.map(r => r.person))).sort((a, b) => a.name.localeCompare(b.name));
+  const ph = document.createElement("h3");
+  ph.textContent = `Members (${people.length})`;
+  out.appendChild(ph);
+  const list = document.createElement("div");
+  list.className = "namesake-members";
+  for (const person of people) {
+    const link = createNamesakeLink(person);
+    if (person.pokemon.length > 1) link.textContent += ` ×${person.pokemon.length}`;
+    list.appendChild(link);
+  }
+  out.appendChild(list);
+}
+
+/* Builds the index from every run (each run respecting its own spoiler guard) */
+async function loadNamesakeIndex() {
+  NAMESAKE_INDEX = buildNamesakeIndex(await loadGuardedRuns());
+  return NAMESAKE_INDEX;
+}
+
+/* Opens the namesake panel, optionally on one member (from a #namesake-<name> link) */
+async function openNamesakeIndex(slug) {
+  const panel = document.getElementById("namesakes");
+  const btn = document.getElementById("namesakes-toggle");
+  if (!panel) return;
+  if (!panel.hidden && panel.dataset.person === (slug || "")) return;
+  panel.hidden = false;
+  panel.dataset.person = slug || "";
+  btn?.setAttribute("aria-expanded", "true");
+  const search = document.getElementById("namesake-search");
+  renderNamesakeIndex(await loadNamesakeIndex(), { person: slug || null, query: search?.value });
+  if (slug) panel.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+function initNamesakeIndex() {
+  const btn = document.getElementById("namesakes-toggle");
+  const panel = document.getElementById("namesakes");
+  const search = document.getElementById("namesake-search");
+  if (!btn || !panel) return;
+  btn.addEventListener("click", () => {
+    if (panel.hidden) openNamesakeIndex(null);
+    else {
+      panel.hidden = true;
+      btn.setAttribute("aria-expanded", "false");
+      if (location.hash.startsWith("#namesake-")) history.replaceState(null, "", location.pathname + location.search);
+    }
+  });
+  search?.addEventListener("input", () => {
+    if (!NAMESAKE_INDEX) return;
+    panel.dataset.person = "";
+    renderNamesakeIndex(NAMESAKE_INDEX, { query: search.value });
+  });
+  window.addEventListener("hashchange", () => {
+    const { anchor } = parseHashAnchorAndParams();
+    if (anchor && anchor.startsWith("namesake-")) openNamesakeIndex(anchor.substring("namesake-".length));
+  });
+}
+
+/* ============================
+   Deadliest killers (fainted.cause across all runs)
+   ============================ */
+/* Back-to-back wipe deaths in one episode of one run become a single incident */
+function groupDeathIncidents(events) {
+  const incidents = [];
+  const deaths = (events || []).filter(ev => normalizeEventType(ev?.type) === "fainted").sort(compareEventsByTime);
+  for (const ev of deaths) {
+    const cause = faintCause(ev);
+    const last = incidents[incidents.length - 1];
+    if (cause?.wipe && last?.wipe && last.episode === episodeNumber(ev)) {
+      last.events.push(ev);
+      continue;
+    }
+    incidents.push({ events: [ev], episode: episodeNumber(ev), location: ev.location || "", wipe: Boolean(cause?.wipe) });
+  }
+  return incidents;
+}
+
+/* runs = [{ id, title, events }] -> rankings of killer species, moves and death locations */
+function computeKillerStats(runs) {
+  const tally = () => new Map();
+  const stats = { species: tally(), moves: tally(), locations: tally(), wipes: [], deaths: 0, withCause: 0 };
+  const count = (map, key, incident, runId) => {
+    if (!key) return;
+    const row = map.get(key) || { key, deaths: 0, incidents: new Set(), runs: new Set() };
+    row.deaths++;
+    row.incidents.add(incident);
+    row.runs.add(runId);
+    map.set(key, row);
+  };
+  for (const run of runs) {
+    for (const incident of groupDeathIncidents(run.events)) {
+      incident.run = run;
+      if (incident.wipe && incident.events.length > 1) stats.wipes.push(incident);
+      for (const ev of incident.events) {
+        const cause = faintCause(ev);
+        stats.deaths++;
+        if (cause?.species || cause?.move) stats.withCause++;
+        count(stats.species, cause?.species, incident, run.id);
+        count(stats.moves, cause?.move, incident, run.id);
+        count(stats.locations, ev.location, incident, run.id);
+      }
+    }
+  }
+  return stats;
+}
+
+/* most deaths first, then fewest incidents (a wipe is one bad moment, not three) */
+function rankKillers(map) {
+  return Array.from(map.values()).sort((a, b) =>
+    b.deaths - a.deaths || a.incidents.size - b.incidents.size || a.key.localeCompare(b.key));
+}
+
+function createKillerTable(label, rows) {
+  return createCompareTable(["#", label, "Deaths", "Incidents", "Runs"], rows.map((row, i) => [
+    String(i + 1), row.key, String(row.deaths), String(row.incidents.size), String(row.runs.size)
+  ]));
+}
+
+function renderKillerStats(stats) {
+  const out = document.getElementById("killers-results");
+  if (!out) return;
+  out.innerHTML = "";
+  if (!stats.deaths) {
+    out.textContent = "No deaths yet.";
+    return;
+  }
+  const summary = document.createElement("p");
+  summary.className = "killers-summary";
+  summary.textContent = `${stats.deaths} death${stats.deaths === 1 ? "" : "s"}, ${stats.withCause} with a recorded cause. Wipes count as one incident.`;
+  out.appendChild(summary);
+
+  const sections = [
+    ["Deadliest species", "Species", stats.species],
+    ["Deadliest moves", "Move", stats.moves],
+    ["Deadliest locations", "Location", stats.locations]
+  ];
+  for (const [title, label, map] of sections) {
+    if (!map.size) continue;
+    const h = document.createElement("h3");
+    h.textContent = title;
+    out.appendChild(h);
+    out.appendChild(createKillerTable(label, rankKillers(map)));
+  }
+
+  if (!stats.wipes.length) return;
+  const h = document.createElement("h3");
+  h.textContent = `Wipes (${stats.wipes.length})`;
+  out.appendChild(h);
+  const list = document.createElement("ul");
+  list.className = "killers-wipes";
+  for (const incident of stats.wipes) {
+    const li = document.createElement("li");
+    const link = document.createElement("a");
+    const first = incident.events[0];
+    link.href = `?run=${encodeURIComponent(incident.run.id)}#event-${encodeURIComponent(first.id || "")}`;
+    link.textContent = `${incident.run.title} • Episode ${incident.episode ?? "?"}${incident.location ? ` • ${incident.location}` : ""}`;
+    li.appendChild(link);
+    const names = incident.events.map(ev => ev.pokemon?.nickname || ev.pokemon?.species || "?").join(", ");
+    const killers = Array.from(new Set(incident.events.map(ev => faintCause(ev)?.species).filter(Boolean)));
+    li.appendChild(document.createTextNode(` — ${names}${killers.length ? ` (${killers.join(", ")})` : ""}`));
+    list.appendChild(li);
+  }
+  out.appendChild(list);
+}
+
+function initKillerStats() {
+  const btn = document.getElementById("killers-toggle");
+  const panel = document.getElementById("killers");
+  if (!btn || !panel) return;
+  btn.addEventListener("click", async () => {
+    panel.hidden = !panel.hidden;
+    btn.setAttribute("aria-expanded", String(!panel.hidden));
+    if (!panel.hidden) renderKillerStats(computeKillerStats(await loadGuardedRuns()));
+  });
+  // a changed spoiler guard reloads the run; keep the open panel in step with it
+  document.addEventListener("runloaded", async () => {
+    if (!panel.hidden) renderKillerStats(computeKillerStats(await loadGuardedRuns()));
+  });
+}
+
+/* ============================
+   Event editor (drafts in localStorage, exports events.json)
+   ============================ */
+// Inputs the types' editor.fields pick from (each type lists its own, see EVENT_TYPES)
+const EDITOR_FIELD_SPECS = {
+  species: { label: "Species", list: "editor-species" },
+  gender: { label: "Gender", options: [["", "—"], ["M", "♂ Male"], ["F", "♀ Female"]] },
+  nickname: { label: "Nickname", list: "editor-nicknames" },
+  level: { label: "Level", placeholder: "e.g. 12 or ???" },
+  location: { label: "Location" },
+  failed: { label: "Failed encounter", checkbox: true },
+  illegal: { label: "Illegal encounter", checkbox: true },
+  special: { label: "Special ribbon", placeholder: "e.g. Named after me!" },
+  from: { label: "From", list: "editor-species" },
+  to: { label: "To", list: "editor-species" },
+  badge: { label: "Badge", placeholder: "e.g. Badge_Dresco" },
+  message: { label: "Message" },
+  note: { label: "Small note" },
+  types: { label: "Types", placeholder: "e.g. fire, normal" },
+  ability: { label: "Ability" },
+  nature: { label: "Nature" },
+  moves: { label: "Moves", placeholder: "comma-separated" },
+  heldItem: { label: "Held item" },
+  causeSpecies: { label: "Killed by", list: "editor-species" },
+  causeSource: { label: "Killer was", options: [["", "—"], ["wild", "Wild"], ["trainer", "A trainer's"]] },
+  causeTrainer: { label: "Trainer", placeholder: "e.g. Scuff" },
+  causeMove: { label: "Move", placeholder: "e.g. Icicle Spear" },
+  causeCrit: { label: "Critical hit", checkbox: true },
+  causeWipe: { label: "Part of a wipe", checkbox: true },
+  kind: { label: "Kind", options: Object.entries(BATTLE_KINDS) },
+  opponentName: { label: "Opponent", placeholder: "e.g. Scuff" },
+  opponentTeam: { label: "Opponent team", placeholder: "e.g. Charmeleon 18, Pidgeotto 17" },
+  outcome: { label: "Outcome", options: [["won", "Won"], ["lost", "Lost"]] },
+  mvp: { label: "MVP", list: "editor-nicknames" },
+  casualties: { label: "Casualties", placeholder: "comma-separated nicknames" }
+};
+const EDITOR_TEAM_SLOTS = 6;
+
+/* display names from sprites/manifest.json */
+async function loadSpriteSpecies() {
+  return (await loadSpriteManifest()).names;
+}
+
+function loadEditorDraft(runId) {
+  try {
+    const raw = localStorage.getItem(EDITOR_DRAFT_KEY_PREFIX + runId);
+    if (!raw) return { events: [], form: null };
+    const draft = JSON.parse(raw);
+    return { events: Array.isArray(draft?.events) ? draft.events : [], form: draft?.form || null };
+  } catch (e) {
+    console.warn("Failed to load editor draft:", e);
+    return { events: [], form: null };
+  }
+}
+function saveEditorDraft(runId, draft) {
+  try {
+    localStorage.setItem(EDITOR_DRAFT_KEY_PREFIX + runId, JSON.stringify(draft));
+  } catch (e) {
+    console.warn("Failed to save editor draft:", e);
+  }
+}
+function clearEditorDraft(runId) {
+  try {
+    localStorage.removeItem(EDITOR_DRAFT_KEY_PREFIX + runId);
+  } catch (e) {
+    console.warn("Failed to clear editor draft:", e);
+  }
+}
+
+/* next "eNNN" id after everything in the run and the draft (malformed ids are ignored) */
+function nextEventId(events) {
+  let max = 0;
+  for (const ev of events) {
+    const id = ev?.id || "";
+    if (EVENT_ID_PATTERN.test(id)) max = Math.max(max, Number(id.slice(1)));
+  }
+  return "e" + String(max + 1).padStart(3, "0");
+}
+
+function fillDatalist(id, values) {
+  const list = document.getElementById(id);
+  if (!list) return;
+  list.innerHTML = "";
+  for (const v of values) {
+    const opt = document.createElement("option");
+    opt.value = v;
+    list.appendChild(opt);
+  }
+}
+
+function createEditorInput(name, spec) {
+  const label = document.createElement("label");
+  label.className = "editor-field" + (spec.checkbox ? " checkbox" : "");
+  let input;
+  if (spec.options) {
+    input = document.createElement("select");
+    for (const [value, text] of spec.options) {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = text;
+      input.appendChild(opt);
+    }
+  } else if (spec.textarea) {
+    input = document.createElement("textarea");
+    input.rows = 2;
+  } else {
+    input = document.createElement("input");
+    input.type = spec.checkbox ? "checkbox" : (spec.type || "text");
+    if (spec.list) input.setAttribute("list", spec.list);
+    if (spec.placeholder) input.placeholder = spec.placeholder;
+  }
+  input.name = name;
+  if (spec.checkbox) {
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(" " + spec.label));
+  } else {
+    label.appendChild(document.createTextNode(spec.label));
+    label.appendChild(input);
+  }
+  return label;
+}
+
+/* Rebuild the type-specific part of the form */
+function renderEditorTypeFields(type) {
+  const box = document.getElementById("editor-type-fields");
+  if (!box) return;
+  box.innerHTML = "";
+  for (const name of EVENT_TYPES[type]?.editor?.fields || []) {
+    if (name === "pokemons") {
+      const team = document.createElement("fieldset");
+      team.className = "editor-team";
+      const legend = document.createElement("legend");
+      legend.textContent = "Team used (pokemons)";
+      team.appendChild(legend);
+      for (let i = 0; i < EDITOR_TEAM_SLOTS; i++) {
+        const row = document.createElement("div");
+        row.className = "editor-team-row";
+        row.appendChild(createEditorInput(`team-nickname-${i}`, { label: `#${i + 1} Nickname`, list: "editor-nicknames" }));
+        row.appendChild(createEditorInput(`team-species-${i}`, { label: "Species", list: "editor-species" }));
+        team.appendChild(row);
+      }
+      box.appendChild(team);
+      continue;
+    }
+    box.appendChild(createEditorInput(name, EDITOR_FIELD_SPECS[name]));
+  }
+}
+
+function readEditorForm(form) {
+  const values = {};
+  for (const el of form.elements) {
+    if (!el.name) continue;
+    values[el.name] = el.type === "checkbox" ? el.checked : el.value;
+  }
+  return values;
+}
+function writeEditorForm(form, values) {
+  for (const el of form.elements) {
+    if (!el.name || !(el.name in values)) continue;
+    if (el.type === "checkbox") el.checked = Boolean(values[el.name]);
+    else el.value = values[el.name];
+  }
+}
+
+/* Form values -> event object, keys in the same order as the hand-written files; blanks are left out.
+   The type's own keys come from its editor.toEvent (see EVENT_TYPES). */
+function editorValuesToEvent(values) {
+  const val = (name) => String(values[name] ?? "").trim();
+  const type = val("type") || "caught";
+  const editor = EVENT_TYPES[type]?.editor || {};
+  // a blank episode stays missing (a validation error), not episode 0
+  const ev = { id: val("id"), type, episode: val("episode") === "" ? undefined : Number(val("episode")) };
+  if (val("timestamp")) ev.timestamp = val("timestamp");
+  if (val("date")) ev.date = val("date");
+
+  Object.assign(ev, editor.toEvent?.(val, values));
+  if (val("location") && (editor.fields || []).includes("location")) ev.location = val("location");
+  if (val("notes")) ev.notes = val("notes");
+  if (val("videoUrl")) ev.video = { url: val("videoUrl") };
+  if (editor.side !== false) ev.side = val("side") || "left";
+  return ev;
+}
+
+/* species / gender / nickname / level inputs -> pokemon object */
+function editorPokemon(val) {
+  const pokemon = {};
+  if (val("species")) pokemon.species = val("species");
+  if (val("gender")) pokemon.gender = val("gender");
+  if (val("nickname")) pokemon.nickname = val("nickname");
+  if (val("level")) pokemon.level = val("level") === "???" ? "???" : Number(val("level"));
+  return pokemon;
+}
+
+/* team rows -> pokemons */
+function editorTeam(val) {
+  const pokemons = [];
+  for (let i = 0; i < EDITOR_TEAM_SLOTS; i++) {
+    const species = val(`team-species-${i}`);
+    const nickname = val(`team-nickname-${i}`);
+    if (species || nickname) pokemons.push(nickname ? { species, nickname } : { species });
+  }
+  return pokemons;
+}
+
+function editorList(text) {
+  return text.split(",").map(x => x.trim()).filter(Boolean);
+}
+
+/* types / moves are typed comma-separated */
+function editorPokemonDetails(values) {
+  const picked = {};
+  for (const key of POKEMON_DETAIL_FIELDS) if (values[key] !== undefined) picked[key] = String(values[key]);
+  return pokemonDetails(picked);
+}
+
+/* Same element the timeline would render for this event */
+function createPreviewElement(ev) {
+  return createTimelineCard(ev);
+}
+
+function initEventEditor() {
+  const btn = document.getElementById("editor-toggle");
+  const panel = document.getElementById("editor");
+  const form = document.getElementById("editor-form");
+  if (!btn || !panel || !form) return;
+
+  const runKey = () => CURRENT_RUN_ID || DEFAULT_RUN_ID;
+  let editingRunId = null; // run whose draft the form holds
+  let draft = { events: [], form: null };
+  const allEvents = () => CURRENT_RUN_ALL_EVENTS.concat(draft.events);
+  // exports keep the file as written: video urls derived from meta.episodes stay derived
+  const fileEvents = () => CURRENT_RUN_FILE_EVENTS.concat(draft.events);
+  const typeSel = form.elements["type"];
+  // one option per registered type the editor can write
+  typeSel.innerHTML = "";
+  for (const [type, spec] of Object.entries(EVENT_TYPES)) {
+    if (!spec.editor) continue;
+    const opt = document.createElement("option");
+    opt.value = type;
+    opt.textContent = spec.label || capitalize(type);
+    typeSel.appendChild(opt);
+  }
+
+  const refreshLists = async () => {
+    const species = await loadSpriteSpecies();
+    const roster = buildRoster(allEvents());
+    fillDatalist("editor-species", species);
+    fillDatalist("editor-nicknames", Array.from(roster.members.keys()).sort((a, b) => a.localeCompare(b)));
+  };
+
+  const updatePreview = () => {
+    const [ev] = withEpisodeVideoUrls([editorValuesToEvent(readEditorForm(form))], CURRENT_RUN_META);
+    const preview = document.getElementById("editor-preview");
+    if (preview) {
+      preview.innerHTML = "";
+      preview.appendChild(createPreviewElement(ev));
+    }
+    const problems = validateRunEvents(allEvents().concat([ev])).filter(p => p.id === ev.id);
+    const status = document.getElementById("editor-status");
+    if (status) {
+      status.textContent = problems.length ? problems.map(p => `${p.level === "error" ? "Error" : "Warning"}: ${p.message}`).join("\n") : "Looks good.";
+      status.classList.toggle("has-errors", problems.some(p => p.level === "error"));
+    }
+    draft.form = readEditorForm(form);
+    saveEditorDraft(runKey(), draft);
+  };
+
+  const renderDraftList = () => {
+    const list = document.getElementById("editor-draft-list");
+    if (!list) return;
+    list.innerHTML = "";
+    if (draft.events.length === 0) {
+      const li = document.createElement("li");
+      li.className = "editor-draft-empty";
+      li.textContent = "No drafted events yet.";
+      list.appendChild(li);
+    }
+    draft.events.forEach((ev, i) => {
+      const li = document.createElement("li");
+      const who = ev.pokemon?.nickname || ev.pokemon?.species || ev.to || ev.badge || ev.message || "";
+      li.textContent = `${ev.id} • Episode ${ev.episode} • ${ev.type}${who ? ` • ${who}` : ""} `;
+      const rm = document.createElement("button");
+      rm.type = "button";
+      rm.className = "btn small";
+      rm.textContent = "Remove";
+      rm.addEventListener("click", () => {
+        draft.events.splice(i, 1);
+        saveEditorDraft(runKey(), draft);
+        renderDraftList();
+        resetForm(typeSel.value);
+      });
+      li.appendChild(rm);
+      list.appendChild(li);
+    });
   };
 
-  if (anchor && anchor.startsWith("episode-")) {
-    const m = /^episode-(\d+)$/.exec(anchor);
-    if (m) {
-      const ep = Number(m[1]);
-      const spoilerParam = params.get("spoiler");
-      const shouldExpand = (spoilerParam === "0") ? false : true;
-      expandAndScroll(ep, shouldExpand);
-      return;
+  // fresh form for a type: next id, last episode/date, team of the previous badge
+  const resetForm = (type) => {
+    const events = allEvents();
+    const last = events.slice().sort(compareEventsByTime).pop();
+    form.reset();
+    typeSel.value = type;
+    renderEditorTypeFields(type);
+    writeEditorForm(form, {
+      id: nextEventId(events),
+      episode: last?.episode ?? 1,
+      date: last?.date || "",
+      side: EVENT_TYPES[type]?.editor?.side || "left"
+    });
+    if ((EVENT_TYPES[type]?.editor?.fields || []).includes("pokemons")) {
+      const roster = buildRoster(events);
+      const team = Array.from(roster.lastTeam).map(n => roster.members.get(n)).filter(m => m && m.status === "alive");
+      team.slice(0, EDITOR_TEAM_SLOTS).forEach((m, i) => writeEditorForm(form, { [`team-nickname-${i}`]: m.nickname, [`team-species-${i}`]: m.species }));
     }
-  }
+    updatePreview();
+  };
 
-  const q = new URLSearchParams(window.location.search || "");
-  const epi = q.get("episode");
-  const spoilerQ = q.get("spoiler");
-  if (epi) {
-    const ep = Number(epi);
-    if (!Number.isNaN(ep)) {
-      const shouldExpand = (spoilerQ === "0") ? false : true;
-      expandAndScroll(ep, shouldExpand);
+  const loadForRun = async () => {
+    editingRunId = runKey();
+    draft = loadEditorDraft(editingRunId);
+    await refreshLists();
+    if (draft.form) {
+      typeSel.value = draft.form.type || "caught";
+      renderEditorTypeFields(typeSel.value);
+      writeEditorForm(form, draft.form);
+      updatePreview();
+    } else {
+      resetForm(typeSel.value || "caught");
     }
-  }
+    renderDraftList();
+  };
+
+  typeSel.addEventListener("change", () => resetForm(typeSel.value));
+
+  // picking a known nickname fills in what the roster knows about it
+  form.addEventListener("change", (e) => {
+    const name = e.target?.name || "";
+    if (name !== "nickname" && !name.startsWith("team-nickname-")) return;
+    const member = buildRoster(allEvents()).members.get(e.target.value.trim());
+    if (!member) return;
+    if (name.startsWith("team-nickname-")) {
+      writeEditorForm(form, { [`team-species-${name.split("-").pop()}`]: member.species });
+    } else {
+      writeEditorForm(form, { species: member.species, from: member.species, level: member.level ?? "" });
+    }
+    updatePreview();
+  });
+  form.addEventListener("input", updatePreview);
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    draft.events.push(editorValuesToEvent(readEditorForm(form)));
+    draft.form = null;
+    saveEditorDraft(runKey(), draft);
+    renderDraftList();
+    refreshLists();
+    resetForm(typeSel.value);
+  });
+
+  const exportJson = (events = fileEvents()) => JSON.stringify(events, null, 2);
+  document.getElementById("editor-download")?.addEventListener("click", () => downloadTextFile("events.json", exportJson()));
+  document.getElementById("editor-migrate-abilities")?.addEventListener("click", () => {
+    const { events, moved } = migrateAbilityNotes(fileEvents());
+    if (moved === 0) return alert("No notes mention an ability; nothing to move.");
+    if (!window.confirm(`Move ${moved} abilities out of the notes into "pokemon.ability" and download the updated events.json?`)) return;
+    downloadTextFile("events.json", exportJson(events));
+  });
+  document.getElementById("editor-copy")?.addEventListener("click", (e) => {
+    copyLinkWithFeedback(e.currentTarget, exportJson(), { done: "Copied ✓", what: "events.json" });
+  });
+  document.getElementById("editor-discard")?.addEventListener("click", () => {
+    if (!window.confirm("Discard all drafted events for this run?")) return;
+    clearEditorDraft(runKey());
+    loadForRun();
+  });
+
+  btn.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    btn.setAttribute("aria-expanded", panel.hidden ? "false" : "true");
+    if (!panel.hidden) loadForRun();
+  });
+  // switching runs while the editor is open loads that run's draft
+  document.addEventListener("runloaded", () => {
+    if (panel.hidden || editingRunId === runKey()) return;
+    loadForRun();
+  });
 }
 
 /* ============================
-   Render timeline (full)
+   Rules panel & Back-to-top
    ============================ */
-function renderTimeline(events) {
-  // --- Clear previous timeline container listeners by replacing with a fresh shallow clone ---
-  let container = document.getElementById("timeline");
-  const messageEl = document.getElementById("message");
-  if (!container) {
-    console.warn("No #timeline element found.");
-    return;
-  }
+function initRulesToggle() {
+  const toggle = document.getElementById("rules-toggle");
+  const panel = document.getElementById("rules-panel");
+  const closeBtn = document.getElementById("rules-close");
+  if (!toggle || !panel) return;
+  function openPanel() { panel.hidden = false; toggle.setAttribute("aria-expanded", "true"); }
+  function closePanel() { panel.hidden = true; toggle.setAttribute("aria-expanded", "false"); }
+  toggle.addEventListener("click", () => { if (panel.hidden) openPanel(); else closePanel(); });
+  closeBtn?.addEventListener("click", closePanel);
+  document.addEventListener("keydown", (e) => { if (e.key === "Escape") closePanel(); });
+  document.addEventListener("click", (e) => { if (!panel.hidden && !panel.contains(e.target) && !toggle.contains(e.target)) closePanel(); });
+}
+function initBackToTop() {
+  const btn = document.getElementById("back-to-top");
+  if (!btn) return;
+  function check() { btn.style.display = (window.scrollY > 480) ? "flex" : "none"; }
+  window.addEventListener("scroll", check);
+  btn.addEventListener("click", () => window.scrollTo({ top: 0, behavior: "smooth" }));
+  check();
+}
 
-  // Replace the timeline node with a shallow clone to remove any stray global listeners
-  const oldContainer = container;
-  const fresh = oldContainer.cloneNode(false);
-  fresh.id = oldContainer.id;
-  if (oldContainer.parentNode) oldContainer.parentNode.replaceChild(fresh, oldContainer);
-  container = fresh;
+/* ============================
+   Docked video player
+   ============================ */
+const YT_API_SRC = "https://www.youtube.com/iframe_api";
+const YT_API_TIMEOUT_MS = 8000;
+const NOW_PLAYING_POLL_MS = 1000;
+let YT_API_PROMISE = null;
+let YT_API_FAILED = false;     // once true, timestamp links go back to opening YouTube in a new tab
+let VIDEO_PLAYER = null;       // YT.Player, created on first use
+let VIDEO_PLAYER_READY = null; // resolves once the player accepts commands
+let VIDEO_PLAYER_VIDEO_ID = null;
+let NOW_PLAYING_TIMER = null;
+
+/* Loads the YouTube IFrame API once; rejects if it can't load (blocked, offline, ...) */
+function loadYouTubeApi() {
+  if (window.YT && typeof window.YT.Player === "function") return Promise.resolve(window.YT);
+  if (YT_API_PROMISE) return YT_API_PROMISE;
+  YT_API_PROMISE = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("timed out")), YT_API_TIMEOUT_MS);
+    const prevReady = window.onYouTubeIframeAPIReady;
+    window.onYouTubeIframeAPIReady = () => {
+      clearTimeout(timer);
+      if (typeof prevReady === "function") prevReady();
+      resolve(window.YT);
+    };
+    const script = document.createElement("script");
+    script.src = YT_API_SRC;
+    script.async = true;
+    script.onerror = () => { clearTimeout(timer); reject(new Error("script failed to load")); };
+    document.head.appendChild(script);
+  }).catch(err => {
+    YT_API_FAILED = true;
+    console.warn("Video player unavailable, falling back to external links:", err.message);
+    throw err;
+  });
+  return YT_API_PROMISE;
+}
 
-  container.innerHTML = "";
-  if (messageEl) messageEl.hidden = true;
+/* "Episode 12 • 00:23:40 — Caught Pikachu"-style label for the dock header */
+function videoDockTitle(link) {
+  const id = link.closest("[data-id]")?.dataset.id;
+  const ev = id ? CURRENT_RUN_EVENTS.find(e => e && e.id === id) : null;
+  if (!ev) return "Episode";
+  const parts = [];
+  if (ev.episode !== undefined) parts.push(`Episode ${ev.episode}`);
+  if (ev.timestamp) parts.push(ev.timestamp);
+  return parts.join(" • ") || "Episode";
+}
 
-  if (!events || events.length === 0) {
-    if (messageEl) {
-      messageEl.hidden = false;
-      messageEl.textContent = "No events found for this run.";
-    }
-    populateEpisodeSelector([]);
-    return;
+function showVideoFallback(message) {
+  const frame = document.querySelector("#video-dock .video-dock-frame");
+  const fallback = document.getElementById("video-dock-fallback");
+  if (frame) frame.hidden = true;
+  if (fallback) {
+    fallback.textContent = message || "This video can't be played here.";
+    fallback.hidden = false;
   }
+  stopNowPlaying();
+}
 
-  // sort & group by episode
-  events.sort((a, b) => {
-    const ea = a.episode ?? 0;
-    const eb = b.episode ?? 0;
-    if (ea !== eb) return ea - eb;
-    const ta = a.timestamp || "";
-    const tb = b.timestamp || "";
-    return ta.localeCompare(tb, undefined, {numeric:true});
-  });
+function resetVideoPlayer() {
+  try {
+    VIDEO_PLAYER?.destroy?.();
+  } catch (e) {
+    console.warn("Couldn't tear down the video player", e);
+  }
+  VIDEO_PLAYER = null;
+  VIDEO_PLAYER_READY = null;
+  VIDEO_PLAYER_VIDEO_ID = null;
+  // YT.Player swaps #video-player for its iframe; put a fresh mount point back
+  const frame = document.querySelector("#video-dock .video-dock-frame");
+  if (frame && !document.querySelector("#video-player:not(iframe)")) {
+    frame.innerHTML = "";
+    const mount = document.createElement("div");
+    mount.id = "video-player";
+    frame.appendChild(mount);
+  }
+}
 
-  const episodesOrder = [];
-  const episodesMap = new Map();
-  for (const ev of events) {
-    const ep = ev.episode ?? 0;
-    if (!episodesMap.has(ep)) {
-      episodesMap.set(ep, []);
-      episodesOrder.push(ep);
-    }
-    episodesMap.get(ep).push(ev);
+/**
+ * openVideoDock(url, title)
+ * Shows the docked player and plays `url` from its ?t= time. Re-uses the player
+ * (and just seeks) when the link points into the video that's already loaded.
+ */
+async function openVideoDock(url, title) {
+  const parsed = parseVideoUrl(url);
+  const dock = document.getElementById("video-dock");
+  if (!parsed || !dock) return;
+  const start = parsed.seconds || 0;
+
+  const titleEl = document.getElementById("video-dock-title");
+  if (titleEl) titleEl.textContent = title || "Episode";
+  const external = document.getElementById("video-dock-external");
+  if (external) external.href = url;
+  const frame = dock.querySelector(".video-dock-frame");
+  if (frame) frame.hidden = false;
+  const fallback = document.getElementById("video-dock-fallback");
+  if (fallback) fallback.hidden = true;
+  dock.hidden = false;
+  document.body.classList.add("video-dock-open");
+
+  let YT;
+  try {
+    YT = await loadYouTubeApi();
+  } catch (e) {
+    showVideoFallback("The embedded player couldn't load — use “Open on YouTube” instead.");
+    return;
   }
 
-  // persisted collapsed map handling
-  const runKey = CURRENT_RUN_ID || DEFAULT_RUN_ID;
-  const persisted = loadCollapsedMap(runKey);
-  const hasPersisted = (localStorage.getItem(COLLAPSED_KEY_PREFIX + runKey) !== null);
+  if (!VIDEO_PLAYER) {
+    VIDEO_PLAYER_READY = new Promise(resolve => {
+      let ready = false;
+      VIDEO_PLAYER = new YT.Player("video-player", {
+        videoId: parsed.videoId,
+        playerVars: { start, autoplay: 1, rel: 0, playsinline: 1 },
+        events: {
+          onReady: () => {
+            ready = true;
+            resolve(VIDEO_PLAYER);
+          },
+          onStateChange: onVideoStateChange,
+          onError: (e) => {
+            // 100: removed/private, 101/150: embedding disabled by the uploader
+            showVideoFallback(e.data === 101 || e.data === 150
+              ? "Embedding is disabled for this video — use “Open on YouTube” instead."
+              : "This video can't be played here.");
+            if (ready) return;
+            // a player that fails before it's ready never will be: the next click builds a new one
+            resetVideoPlayer();
+            resolve(null);
+          }
+        }
+      });
+    });
+    VIDEO_PLAYER_VIDEO_ID = parsed.videoId;
+    return;
+  }
 
-  // If user hasn't set preference, collapse the last episode by default (avoid spoilers)
-  if (!hasPersisted && episodesOrder.length > 0) {
-    const lastEp = episodesOrder[episodesOrder.length - 1];
-    persisted.add(Number(lastEp));
-    saveCollapsedMap(runKey, persisted);
+  if (!(await VIDEO_PLAYER_READY)) return openVideoDock(url, title);
+  if (VIDEO_PLAYER_VIDEO_ID === parsed.videoId) {
+    VIDEO_PLAYER.seekTo(start, true);
+    VIDEO_PLAYER.playVideo();
+  } else {
+    VIDEO_PLAYER.loadVideoById({ videoId: parsed.videoId, startSeconds: start });
+    VIDEO_PLAYER_VIDEO_ID = parsed.videoId;
   }
+}
 
-  const episodesArr = [];
-  for (const ep of episodesOrder) {
-    const section = document.createElement("section");
-    section.className = "episode-section";
-    section.dataset.episode = String(ep);
+function closeVideoDock() {
+  const dock = document.getElementById("video-dock");
+  if (!dock || dock.hidden) return;
+  dock.hidden = true;
+  document.body.classList.remove("video-dock-open");
+  if (VIDEO_PLAYER && typeof VIDEO_PLAYER.pauseVideo === "function") VIDEO_PLAYER.pauseVideo();
+  stopNowPlaying();
+  setNowPlayingCard(null);
+}
 
-    // Banner
-    const banner = document.createElement("div");
-    banner.className = "episode-banner";
-    banner.tabIndex = 0;
-    banner.setAttribute("role", "button");
-    const isExpanded = !persisted.has(Number(ep));
-    banner.setAttribute("aria-expanded", isExpanded ? "true" : "false");
+function onVideoStateChange(e) {
+  if (e.data === window.YT?.PlayerState?.PLAYING) startNowPlaying();
+  else stopNowPlaying();
+  updateNowPlaying();
+}
 
-    const epDate = episodesMap.get(ep)[0]?.date;
-    const titleSpan = document.createElement("span");
-    titleSpan.className = "episode-title";
-    titleSpan.textContent = `Episode ${ep}` + (epDate ? ` • ${epDate}` : "");
-    banner.appendChild(titleSpan);
+function startNowPlaying() {
+  if (NOW_PLAYING_TIMER) return;
+  NOW_PLAYING_TIMER = setInterval(updateNowPlaying, NOW_PLAYING_POLL_MS);
+}
 
-    // Pill for "no major events" if episode empty or contains an explicit no_event
-    const epEvents = episodesMap.get(ep) || [];
-    const containsNoEvent = epEvents.some(ev => {
-      const t = (ev.type || "").toLowerCase();
-      return t === "no_event" || t === "note" || t === "minor";
-    });
-    if (epEvents.length === 0 || containsNoEvent) {
-      const pill = document.createElement("span");
-      pill.className = "no-event-pill";
-      pill.textContent = "No major events";
-      banner.appendChild(pill);
-    }
+function stopNowPlaying() {
+  clearInterval(NOW_PLAYING_TIMER);
+  NOW_PLAYING_TIMER = null;
+}
 
-    // small controls (permalink + chevron)
-    const controls = document.createElement("div");
-    controls.className = "controls";
+/* The last event in the playing video whose timestamp the playhead has passed */
+function findNowPlayingEvent(videoId, seconds) {
+  let current = null;
+  let currentAt = -1;
+  for (const ev of CURRENT_RUN_EVENTS) {
+    const parsed = parseVideoUrl(ev?.video?.url);
+    if (!parsed || parsed.videoId !== videoId) continue;
+    const at = timestampToSeconds(ev.timestamp) ?? parsed.seconds;
+    if (at === null || at > seconds || at < currentAt) continue;
+    current = ev;
+    currentAt = at;
+  }
+  return current;
+}
 
-    const permBtn = document.createElement("button");
-    permBtn.className = "permalink";
-    permBtn.title = "Click: copy expanded link — Shift+Click: copy spoiler-safe (collapsed) link";
-    permBtn.innerHTML = "🔗";
-    permBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      const anchor = `episode-${ep}`;
-      const base = location.origin + location.pathname + location.search;
-      const expandedUrl = base + `#${anchor}`;
-      const safeUrl = base + `#${anchor}?spoiler=0`;
-      const toCopy = e.shiftKey ? safeUrl : expandedUrl;
-      if (navigator.clipboard?.writeText) {
-        navigator.clipboard.writeText(toCopy).then(() => {
-          const prev = permBtn.textContent;
-          permBtn.textContent = "✓";
-          setTimeout(() => permBtn.textContent = prev, 1200);
-        }).catch(() => alert("Copy this link: " + toCopy));
-      } else {
-        try { window.prompt("Copy link (Ctrl+C / Cmd+C):", toCopy); } catch (err) { alert("Copy this link: " + toCopy); }
-      }
-    });
-    controls.appendChild(permBtn);
+function updateNowPlaying() {
+  if (!VIDEO_PLAYER || typeof VIDEO_PLAYER.getCurrentTime !== "function") return;
+  const ev = findNowPlayingEvent(VIDEO_PLAYER_VIDEO_ID, VIDEO_PLAYER.getCurrentTime());
+  setNowPlayingCard(ev?.id || null);
+}
 
-    const chev = document.createElement("span");
-    chev.className = "chev";
-    chev.setAttribute("aria-hidden", "true");
-    chev.textContent = "▾";
-    controls.appendChild(chev);
+/* Moves the .now-playing highlight; re-applied on every tick since loading a run rebuilds the timeline */
+function setNowPlayingCard(id) {
+  const timeline = document.getElementById("timeline");
+  if (!timeline) return;
+  timeline.querySelectorAll(".now-playing").forEach(el => {
+    if (el.dataset.id !== id) el.classList.remove("now-playing");
+  });
+  if (!id) return;
+  const card = Array.from(timeline.querySelectorAll("[data-id]")).find(el => el.dataset.id === id);
+  card?.classList.add("now-playing");
+}
 
-    banner.appendChild(controls);
+function initVideoDock() {
+  const dock = document.getElementById("video-dock");
+  if (!dock) return;
+  document.getElementById("video-dock-close")?.addEventListener("click", closeVideoDock);
+  // capture phase: timeline links stop propagation of their clicks (see ensureInteractiveTargetsInTimeline)
+  document.addEventListener("click", (e) => {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    const link = e.target.closest?.("a.video-link");
+    if (!link || YT_API_FAILED || !parseVideoUrl(link.href)) return;
+    e.preventDefault();
+    openVideoDock(link.href, videoDockTitle(link));
+  }, true);
+}
 
-    // Banner click: toggle episode, but ignore clicks originating from interactive children
-    banner.addEventListener("click", (e) => {
-      if (e.target && e.target.closest && e.target.closest("a,button,input,select,textarea")) {
-        return; // allow interactive elements to act
-      }
-      toggleEpisodeSection(runKey, ep);
-    });
+/* ============================
+   Event filters (combinable, mirrored into the URL query)
+   ============================ */
+// one checkbox per registered event type, in registration order
+const FILTER_TYPES = Object.entries(EVENT_TYPES).map(([value, spec]) => ({ value, label: spec.label || capitalize(value) }));
+const FILTER_FLAGS = [
+  { value: "failed", label: "Failed encounter" },
+  { value: "illegal", label: "Illegal encounter" },
+  { value: "special", label: "Special" }
+];
+
+function emptyFilters() {
+  return {
+    types: [], flags: [],
+    episodeFrom: null, episodeTo: null,
+    dateFrom: "", dateTo: "",
+    levelFrom: null, levelTo: null,
+    location: "", species: "", gender: "",
+    q: ""
+  };
+}
 
-    // keyboard handling (skip if focus on interactive child)
-    banner.addEventListener("keydown", (ev) => {
-      if ((ev.key === "Enter" || ev.key === " ") && !(ev.target && ev.target.closest && ev.target.closest("a,button,input,select,textarea"))) {
-        ev.preventDefault();
-        toggleEpisodeSection(runKey, ep);
-      }
-    });
+/* "5-12", "5-", "-12" or "5" -> [from, to] (null for an open end) */
+function parseRange(raw, parse) {
+  if (!raw) return [null, null];
+  const sep = raw.includes("..") ? ".." : "-";
+  const [a, b = a] = raw.split(sep);
+  return [parse(a), parse(b)];
+}
+function formatRange(from, to, sep = "-") {
+  if (from === null && to === null) return "";
+  if (from === to) return String(from);
+  return `${from ?? ""}${sep}${to ?? ""}`;
+}
+function parseRangeInt(s) {
+  const n = Number(s);
+  return (String(s ?? "").trim() !== "" && Number.isInteger(n) && n >= 0) ? n : null;
+}
+function parseRangeDate(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(s || "") ? s : "";
+}
 
-    section.appendChild(banner);
+/**
+ * Query keys: type=caught,fainted  ep=5-12  date=2025-09-01..2025-10-01  lvl=10-30
+ *             loc=…  species=…  gender=M|F|none  flags=failed,illegal,special  q=…
+ */
+function parseFilterQuery(params) {
+  const f = emptyFilters();
+  const list = (key) => (params.get(key) || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+  f.types = list("type").map(normalizeEventType).filter(t => FILTER_TYPES.some(x => x.value === t));
+  f.flags = list("flags").filter(t => FILTER_FLAGS.some(x => x.value === t));
+  [f.episodeFrom, f.episodeTo] = parseRange(params.get("ep"), parseRangeInt);
+  [f.dateFrom, f.dateTo] = parseRange(params.get("date"), parseRangeDate);
+  [f.levelFrom, f.levelTo] = parseRange(params.get("lvl"), parseRangeInt);
+  f.location = (params.get("loc") || "").trim();
+  f.species = (params.get("species") || "").trim();
+  const gender = (params.get("gender") || "").toLowerCase();
+  f.gender = (gender === "m" || gender === "f") ? gender.toUpperCase() : (gender === "none" ? "none" : "");
+  f.q = (params.get("q") || "").trim();
+  return f;
+}
 
-    // contents container (collapsible)
-    const contents = document.createElement("div");
-    contents.className = "episode-contents";
-    contents.id = `episode-contents-${ep}`;
-    if (!isExpanded) {
-      contents.classList.add("collapsed");
-      contents.setAttribute("aria-hidden", "true");
-      contents.style.maxHeight = "0px";
-      contents.style.overflow = "hidden";
-    } else {
-      contents.setAttribute("aria-hidden", "false");
-      contents.style.overflow = "visible";
-      // measure real height and then clear max-height after transition for natural layout
-      requestAnimationFrame(() => {
-        const h = contents.scrollHeight;
-        contents.style.maxHeight = (h > 0 ? h + "px" : "0px");
-        const onEnd = (e) => {
-          if (e.propertyName === "max-height") {
-            contents.style.maxHeight = "none";
-            contents.removeEventListener("transitionend", onEnd);
-          }
-        };
-        contents.addEventListener("transitionend", onEnd);
-      });
-    }
+function writeFilterParams(f, params) {
+  const set = (key, value) => { if (value) params.set(key, value); else params.delete(key); };
+  set("type", f.types.join(","));
+  set("ep", formatRange(f.episodeFrom, f.episodeTo));
+  set("date", formatRange(f.dateFrom || null, f.dateTo || null, ".."));
+  set("lvl", formatRange(f.levelFrom, f.levelTo));
+  set("loc", f.location);
+  set("species", f.species);
+  set("gender", f.gender);
+  set("flags", f.flags.join(","));
+  set("q", f.q);
+  return params;
+}
 
-    // If episode has no events at all — show subtle placeholder
-    if (epEvents.length === 0) {
-      // Prefer user's createNoEventElement if provided; else create a small fallback
-      let placeholder;
-      if (typeof createNoEventElement === "function") {
-        placeholder = createNoEventElement({
-          message: "No major events in this episode.",
-          note: "Short video or housekeeping content."
-        });
-      } else {
-        const pWrap = document.createElement("article");
-        pWrap.className = "event no-event type-note";
-        pWrap.style.width = "100%";
-        pWrap.style.display = "flex";
-        pWrap.style.justifyContent = "center";
-        pWrap.style.padding = "0";
-        pWrap.style.background = "transparent";
-        pWrap.style.boxShadow = "none";
-
-        const card = document.createElement("div");
-        card.className = "no-event-card";
-        card.setAttribute("role", "status");
-        card.setAttribute("aria-live", "polite");
-        const msg = document.createElement("div");
-        msg.className = "no-event-message";
-        msg.textContent = "No major events in this episode.";
-        card.appendChild(msg);
-        pWrap.appendChild(card);
-        placeholder = pWrap;
-      }
-      contents.appendChild(placeholder);
-    }
+/* Number of active filters, not counting the free-text search */
+function countActiveFilters(f) {
+  return [
+    f.types.length, f.flags.length,
+    f.episodeFrom !== null || f.episodeTo !== null,
+    f.dateFrom || f.dateTo,
+    f.levelFrom !== null || f.levelTo !== null,
+    f.location, f.species, f.gender
+  ].filter(Boolean).length;
+}
+
+function eventLocation(ev) {
+  return ev.location || ev.obtained || ev.obtainedVia || ev.town || "";
+}
+function eventSpecies(ev) {
+  const names = [ev.pokemon?.species, ev.species, ev.from, ev.to, ev.pokemon?.from, ev.pokemon?.to];
+  if (Array.isArray(ev.pokemons)) for (const p of ev.pokemons) names.push(p?.species);
+  return names.filter(Boolean);
+}
+function eventLevels(ev) {
+  const levels = [ev.pokemon?.level, ev.level];
+  if (Array.isArray(ev.pokemons)) for (const p of ev.pokemons) levels.push(p?.level);
+  return levels.filter(Number.isFinite);
+}
+function inRange(value, from, to) {
+  return (from === null || value >= from) && (to === null || value <= to);
+}
+
+/* Values within one filter are OR'ed (caught or fainted), different filters are AND'ed.
+   The free-text part (f.q) goes through the search index instead, see searchEvents. */
+function eventMatchesFilters(ev, f) {
+  if (!ev || typeof ev !== "object") return false;
+  if (f.types.length && !f.types.includes(normalizeEventType(ev.type))) return false;
+  if (f.episodeFrom !== null || f.episodeTo !== null) {
+    const ep = episodeNumber(ev);
+    if (ep === null || !inRange(ep, f.episodeFrom, f.episodeTo)) return false;
+  }
+  if (f.dateFrom || f.dateTo) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(ev.date || "") || !inRange(ev.date, f.dateFrom || null, f.dateTo || null)) return false;
+  }
+  if (f.levelFrom !== null || f.levelTo !== null) {
+    if (!eventLevels(ev).some(l => inRange(l, f.levelFrom, f.levelTo))) return false;
+  }
+  if (f.location && !eventLocation(ev).toLowerCase().includes(f.location.toLowerCase())) return false;
+  if (f.species && !eventSpecies(ev).some(s => s.toLowerCase().includes(f.species.toLowerCase()))) return false;
+  if (f.gender) {
+    const g = String(ev.pokemon?.gender || "").trim().toUpperCase();
+    if (f.gender === "none" ? (g === "M" || g === "F") : g !== f.gender) return false;
+  }
+  if (f.flags.length) {
+    const hit = f.flags.some(flag =>
+      (flag === "failed" && isFailedEvent(ev)) ||
+      (flag === "illegal" && isIllegalEvent(ev)) ||
+      (flag === "special" && Boolean(specialRibbonLabel(ev, CURRENT_RUN_META?.featuredCreators))));
+    if (!hit) return false;
+  }
+  return true;
+}
 
-    // iterate events for this episode
-    for (const ev of epEvents) {
-      const evType = (ev.type || "").toLowerCase();
-
-      // explicit no_event handling (use user's helper if present)
-      if (evType === "no_event" || evType === "note" || evType === "minor") {
-        if (typeof createNoEventElement === "function") {
-          const noEl = createNoEventElement(ev);
-          contents.appendChild(noEl);
-        } else {
-          const pWrap = document.createElement("article");
-          pWrap.className = "event no-event type-note";
-          pWrap.style.width = "100%";
-          pWrap.style.display = "flex";
-          pWrap.style.justifyContent = "center";
-          pWrap.style.padding = "0";
-          pWrap.style.background = "transparent";
-          pWrap.style.boxShadow = "none";
-
-          const card = document.createElement("div");
-          card.className = "no-event-card";
-          card.setAttribute("role", "status");
-          card.setAttribute("aria-live", "polite");
-          const msg = document.createElement("div");
-          msg.className = "no-event-message";
-          msg.textContent = ev.message || ev.note || "No major events recorded for this entry.";
-          card.appendChild(msg);
-          if (ev.note) {
-            const small = document.createElement("div");
-            small.className = "item-notes";
-            small.style.marginTop = "8px";
-            small.style.fontStyle = "normal";
-            small.style.fontSize = "0.92rem";
-            small.textContent = ev.note;
-            card.appendChild(small);
-          }
-          if (ev.video && ev.video.url) {
-            const linkRow = document.createElement("div");
-            linkRow.style.marginTop = "8px";
-            const a = document.createElement("a");
-            a.href = ev.video.url;
-            a.target = "_blank";
-            a.rel = "noopener";
-            a.textContent = "Watch episode";
-            a.addEventListener("click", (e) => e.stopPropagation());
-            linkRow.appendChild(a);
-            card.appendChild(linkRow);
-          }
-          pWrap.appendChild(card);
-          contents.appendChild(pWrap);
-        }
-        continue; // next event
-      }
+/* Filters as currently shown in the panel + search box */
+function readFilterForm() {
+  const form = document.getElementById("filters-form");
+  const f = emptyFilters();
+  f.q = (document.getElementById("search")?.value || "").trim();
+  if (!form) return f;
+  const el = form.elements;
+  f.types = Array.from(form.querySelectorAll("input[name=type]:checked")).map(i => i.value);
+  f.flags = Array.from(form.querySelectorAll("input[name=flag]:checked")).map(i => i.value);
+  f.episodeFrom = parseRangeInt(el["episodeFrom"].value);
+  f.episodeTo = parseRangeInt(el["episodeTo"].value);
+  f.dateFrom = parseRangeDate(el["dateFrom"].value);
+  f.dateTo = parseRangeDate(el["dateTo"].value);
+  f.levelFrom = parseRangeInt(el["levelFrom"].value);
+  f.levelTo = parseRangeInt(el["levelTo"].value);
+  f.location = el["location"].value.trim();
+  f.species = el["species"].value.trim();
+  f.gender = el["gender"].value;
+  return f;
+}
 
-      // run end banner
-      if (["run_end","runended","run_ended","end"].includes(evType)) {
-        const endBanner = document.createElement("div");
-        endBanner.className = "run-end-banner";
-        const parts = [];
-        if (ev.episode !== undefined) parts.push(`Episode ${ev.episode}`);
-        if (ev.date) parts.push(ev.date);
-        const note = ev.notes ? ` — ${ev.notes}` : "";
-        endBanner.textContent = `Run Ended${parts.length ? " — " + parts.join(" • ") : ""}${note}`;
-        contents.appendChild(endBanner);
-        continue;
-      }
+function writeFilterForm(f) {
+  const search = document.getElementById("search");
+  if (search) search.value = f.q;
+  const form = document.getElementById("filters-form");
+  if (!form) return;
+  const el = form.elements;
+  form.querySelectorAll("input[name=type]").forEach(i => { i.checked = f.types.includes(i.value); });
+  form.querySelectorAll("input[name=flag]").forEach(i => { i.checked = f.flags.includes(i.value); });
+  el["episodeFrom"].value = f.episodeFrom ?? "";
+  el["episodeTo"].value = f.episodeTo ?? "";
+  el["dateFrom"].value = f.dateFrom;
+  el["dateTo"].value = f.dateTo;
+  el["levelFrom"].value = f.levelFrom ?? "";
+  el["levelTo"].value = f.levelTo ?? "";
+  el["location"].value = f.location;
+  el["species"].value = f.species;
+  el["gender"].value = f.gender;
+}
 
-      // gym/badge milestone handling (delegate to createGymElement if present)
-      if (evType === "badge" || evType === "gym") {
-        if (typeof createGymElement === "function") {
-          try {
-            const gymEl = createGymElement(ev);
-            contents.appendChild(gymEl);
-          } catch (err) {
-            console.warn("Failed to create gym element for event:", ev, err);
-            const fallback = createEventElement(ev);
-            if (typeof markSpecialEvent === "function") markSpecialEvent(ev, fallback, { highlightName: "Luc" });
-            contents.appendChild(fallback);
-          }
-        } else {
-          const fallback2 = createEventElement(ev);
-          if (typeof markSpecialEvent === "function") markSpecialEvent(ev, fallback2, { highlightName: "Luc" });
-          contents.appendChild(fallback2);
-        }
-        continue;
-      }
+function createFilterCheckbox(name, opt) {
+  const label = document.createElement("label");
+  const cb = document.createElement("input");
+  cb.type = "checkbox";
+  cb.name = name;
+  cb.value = opt.value;
+  label.appendChild(cb);
+  label.appendChild(document.createTextNode(" " + opt.label));
+  return label;
+}
 
-      // default: regular event card
-      const el = createEventElement(ev);
-      if (typeof markSpecialEvent === "function") markSpecialEvent(ev, el, { highlightName: "Luc" });
-      contents.appendChild(el);
-    }
+/* "Showing X of Y events" + the active-filter count on the toggle */
+function renderFilterSummary(shown, total, f) {
+  const count = document.getElementById("filter-count");
+  if (count) count.textContent = `Showing ${shown} of ${total} event${total === 1 ? "" : "s"}`;
+  const btn = document.getElementById("filters-toggle");
+  if (btn) {
+    const n = countActiveFilters(f);
+    btn.textContent = n ? `Filters (${n})` : "Filters";
+    btn.classList.toggle("active", n > 0);
+  }
+}
 
-    section.appendChild(contents);
-    container.appendChild(section);
-    episodesArr.push({ episode: ep, date: epDate || "" });
+/* Location/species suggestions for the loaded run */
+function fillFilterSuggestions(events) {
+  const locations = new Set();
+  const species = new Set();
+  for (const ev of events || []) {
+    if (!ev || typeof ev !== "object") continue;
+    const loc = eventLocation(ev);
+    if (loc) locations.add(loc);
+    for (const s of eventSpecies(ev)) species.add(s);
+  }
+  fillDatalist("filter-locations", Array.from(locations).sort((a, b) => a.localeCompare(b)));
+  fillDatalist("filter-species", Array.from(species).sort((a, b) => a.localeCompare(b)));
+}
 
-    // ensure collapse animation is sized correctly when initially expanded
-    if (isExpanded) {
-      requestAnimationFrame(() => {
-        const h = contents.scrollHeight;
-        // animate to measured height and then clear to allow natural sizing
-        contents.style.maxHeight = (h > 0 ? h + "px" : "0px");
-        const onEnd = (e) => {
-          if (e.propertyName === "max-height") {
-            contents.style.maxHeight = "none";
-            contents.removeEventListener("transitionend", onEnd);
-          }
-        };
-        contents.addEventListener("transitionend", onEnd);
-      });
-    }
+/* Saved filter combinations (global preference), stored as their query string */
+function renderFilterPresets(selected) {
+  const sel = document.getElementById("filter-presets");
+  if (!sel) return;
+  sel.innerHTML = "";
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = "Presets…";
+  sel.appendChild(placeholder);
+  for (const preset of getGlobalPref("filterPresets")) {
+    const opt = document.createElement("option");
+    opt.value = preset.name;
+    opt.textContent = preset.name;
+    sel.appendChild(opt);
   }
+  sel.value = selected || "";
+}
 
-  populateEpisodeSelector(episodesArr);
-  ensureExpandCollapseControls();
-  handlePermalinkOnLoad();
+function initFilters(onChange) {
+  const btn = document.getElementById("filters-toggle");
+  const panel = document.getElementById("filters");
+  const form = document.getElementById("filters-form");
+  if (form) {
+    const types = document.getElementById("filter-types");
+    FILTER_TYPES.forEach(opt => types?.appendChild(createFilterCheckbox("type", opt)));
+    const flags = document.getElementById("filter-flags");
+    FILTER_FLAGS.forEach(opt => flags?.appendChild(createFilterCheckbox("flag", opt)));
+    form.addEventListener("change", onChange);
+    form.addEventListener("submit", (e) => { e.preventDefault(); onChange(); });
+    document.getElementById("filters-clear")?.addEventListener("click", () => {
+      writeFilterForm({ ...emptyFilters(), q: readFilterForm().q });
+      onChange();
+    });
 
-  // ensure anchors/buttons inside timeline don't let banner handle their clicks
-  if (typeof ensureInteractiveTargetsInTimeline === "function") {
-    ensureInteractiveTargetsInTimeline();
-  } else {
-    // fallback: add minimal protection for anchors inside the timeline (stop propagation on pointerdown)
-    const interactiveEls = container.querySelectorAll("a,button,input,select,textarea");
-    interactiveEls.forEach(el => {
-      if (el.dataset._interactiveBound) return;
-      el.addEventListener("pointerdown", (e) => { e.stopPropagation(); }, { passive: true });
-      el.addEventListener("click", (e) => { e.stopPropagation(); });
-      el.dataset._interactiveBound = "1";
+    const presetSel = document.getElementById("filter-presets");
+    presetSel?.addEventListener("change", (e) => {
+      e.stopPropagation(); // not a filter change by itself
+      const preset = getGlobalPref("filterPresets").find(p => p.name === presetSel.value);
+      if (!preset) return;
+      writeFilterForm(parseFilterQuery(new URLSearchParams(preset.query)));
+      onChange();
+    });
+    document.getElementById("filters-save-preset")?.addEventListener("click", () => {
+      const name = (prompt("Name this filter preset:") || "").trim();
+      if (!name) return;
+      const query = writeFilterParams(readFilterForm(), new URLSearchParams()).toString();
+      setGlobalPref("filterPresets", getGlobalPref("filterPresets").filter(p => p.name !== name).concat({ name, query }));
+      renderFilterPresets(name);
     });
+    document.getElementById("filters-delete-preset")?.addEventListener("click", () => {
+      if (!presetSel?.value) return;
+      setGlobalPref("filterPresets", getGlobalPref("filterPresets").filter(p => p.name !== presetSel.value));
+      renderFilterPresets();
+    });
+    renderFilterPresets();
   }
+  btn?.addEventListener("click", () => {
+    if (!panel) return;
+    panel.hidden = !panel.hidden;
+    btn.setAttribute("aria-expanded", panel.hidden ? "false" : "true");
+  });
+  writeFilterForm(parseFilterQuery(new URLSearchParams(location.search)));
 }
 
-
 /* ============================
-   Expand/Collapse controls creation (only if not present)
+   Search index (fuzzy, field-aware; built once per run load)
    ============================ */
-function ensureExpandCollapseControls() {
-  // If manual controls exist in HTML, just attach listeners
-  const expandBtnManual = document.getElementById("expand-all");
-  const collapseBtnManual = document.getElementById("collapse-all");
-  if (expandBtnManual && collapseBtnManual) {
-    expandBtnManual.onclick = () => setAllCollapsed(CURRENT_RUN_ID || DEFAULT_RUN_ID, false);
-    collapseBtnManual.onclick = () => setAllCollapsed(CURRENT_RUN_ID || DEFAULT_RUN_ID, true);
-    return;
+// prefix -> indexed field; bare words and "phrases" search every text field
+const SEARCH_FIELD_PREFIXES = {
+  loc: "loc", location: "loc",
+  nick: "nick", nickname: "nick",
+  species: "species", sp: "species",
+  notes: "notes",
+  type: "type",
+  types: "types", ptype: "types",
+  ability: "ability", ab: "ability",
+  nature: "nature",
+  move: "moves", moves: "moves",
+  item: "item", held: "item",
+  ep: "ep", episode: "ep"
+};
+const SEARCH_TEXT_FIELDS = ["species", "nick", "loc", "notes", "badge", "type", "types", "ability", "nature", "moves", "item"];
+
+function searchWords(text) {
+  return String(text || "").toLowerCase().split(/[^\p{L}\p{N}'’-]+/u).filter(Boolean);
+}
+
+/* Optimal string alignment distance, giving up once it exceeds max */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+      cur.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
   }
+  return prev[b.length];
+}
 
-  // Otherwise inject into .controls container (last position)
-  const controlsSection = document.querySelector(".controls") || document.querySelector("section.controls");
-  if (!controlsSection) return;
-  // don't duplicate
-  if (document.getElementById("expand-all") || document.getElementById("collapse-all")) return;
+/* "toxicrock" ~ "toxicroak": prefix, substring, or a typo or two depending on length.
+   Numbers and one-letter tokens only match whole words, so "route 1" leaves "Route 10" out. */
+function fuzzyWordMatch(token, word) {
+  if (token.length < 2 || /^\d+$/.test(token)) return token === word;
+  if (word.startsWith(token)) return true;
+  if (token.length >= 3 && word.includes(token)) return true;
+  const allowed = token.length <= 4 ? 0 : (token.length <= 7 ? 1 : 2);
+  if (!allowed) return false;
+  return editDistance(token, word, allowed) <= allowed ||
+    (word.length > token.length && editDistance(token, word.slice(0, token.length), allowed) <= allowed);
+}
 
-  const wrapper = document.createElement("div");
-  wrapper.style.display = "flex";
-  wrapper.style.gap = "8px";
-  wrapper.style.marginLeft = "8px";
+/* Whole-word phrase match: "route 1" finds "Route 1" but not "Route 10" */
+function phraseMatch(phrase, text) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, "u").test(text);
+}
 
-  const expandAll = document.createElement("button");
-  expandAll.id = "expand-all";
-  expandAll.textContent = "Expand all";
-  expandAll.className = "small-control";
-  expandAll.addEventListener("click", () => setAllCollapsed(CURRENT_RUN_ID || DEFAULT_RUN_ID, false));
+function searchKey(ev, i) {
+  return ev?.id || `#${i}`;
+}
 
-  const collapseAll = document.createElement("button");
-  collapseAll.id = "collapse-all";
-  collapseAll.textContent = "Collapse all";
-  collapseAll.className = "small-control";
-  collapseAll.addEventListener("click", () => setAllCollapsed(CURRENT_RUN_ID || DEFAULT_RUN_ID, true));
+/* One indexed field: lowercased text plus its words */
+function searchField(...values) {
+  const text = values.filter(Boolean).join(" ").toLowerCase();
+  return { text, words: searchWords(text) };
+}
 
-  wrapper.appendChild(expandAll);
-  wrapper.appendChild(collapseAll);
-  controlsSection.appendChild(wrapper);
+/* types: / ability: / nature: / move: / item: fields from pokemonDetails() */
+function pokemonSearchFields(details) {
+  return {
+    types: searchField(...(details.types || [])),
+    ability: searchField(details.ability),
+    nature: searchField(details.nature),
+    moves: searchField(...(details.moves || [])),
+    item: searchField(details.heldItem)
+  };
 }
 
-/* ============================
-   Run details population
-   ============================ */
-function populateRunDetails(meta) {
-  const container = document.getElementById("run-details");
-  if (!container) return;
-  if (!meta) {
-    container.hidden = true;
-    return;
-  }
-  const playerSpriteEl = document.getElementById("player-sprite");
-  const rivalSpriteEl = document.getElementById("rival-sprite");
-  const playerNameEl = document.getElementById("player-name");
-  const rivalNameEl = document.getElementById("rival-name");
-  const playerSub = document.getElementById("player-sub");
-  const rivalSub = document.getElementById("rival-sub");
+/**
+ * buildSearchIndex(events)
+ * One entry per event with its searchable fields lowercased and split into words up front.
+ */
+function buildSearchIndex(events) {
+  return (events || []).map((ev, i) => {
+    if (!ev || typeof ev !== "object") return null;
+    // the type's EVENT_TYPES entry can add values to any field
+    const extra = eventTypeSpec(ev.type).searchFields?.(ev) || {};
+    const field = (name, ...values) => searchField(...values, ...(extra[name] || []));
+    return {
+      key: searchKey(ev, i),
+      episode: episodeNumber(ev),
+      fields: {
+        species: field("species", ...eventSpecies(ev)),
+        nick: field("nick", ev.pokemon?.nickname, ev.nickname),
+        loc: field("loc", eventLocation(ev)),
+        notes: field("notes", ev.notes),
+        badge: field("badge"),
+        type: field("type", ev.type, normalizeEventType(ev.type)),
+        ...pokemonSearchFields(pokemonDetails(ev.pokemon))
+      }
+    };
+  }).filter(Boolean);
+}
 
-  if (meta.player?.name) {
-    playerNameEl.textContent = meta.player.name;
-    playerSub.textContent = meta.player.subtitle || "";
-  } else {
-    playerNameEl.textContent = "";
-    playerSub.textContent = "";
+/* loc:"Route 1" nick:kar "shiny pokemon" toxicrock ep:5-8 -> terms */
+function parseSearchQuery(q) {
+  const terms = [];
+  const re = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let m;
+  while ((m = re.exec(q || "")) !== null) {
+    let field = m[1] ? SEARCH_FIELD_PREFIXES[m[1].toLowerCase()] : null;
+    let text = m[2] ?? m[3] ?? "";
+    if (m[1] && !field) text = `${m[1]}:${text}`; // not a known prefix, search it as typed
+    text = text.trim().toLowerCase();
+    if (!text) continue;
+    const phrase = m[2] !== undefined || /\s/.test(text);
+    terms.push({ field: field || null, text, phrase });
   }
-  const playerSpriteUrl = spriteUrlFor(meta.player?.species);
-  if (playerSpriteUrl) playerSpriteEl.src = playerSpriteUrl;
-  attachPlaceholderOnErrorOrNull(playerSpriteEl, meta.player?.species, playerSpriteUrl);
+  return terms;
+}
 
-  if (meta.rival?.name) {
-    rivalNameEl.textContent = meta.rival.name;
-    rivalSub.textContent = meta.rival.subtitle || "";
-  } else {
-    rivalNameEl.textContent = "";
-    rivalSub.textContent = "";
+/* Words/phrases of one entry that satisfy a term (empty array = no match) */
+function matchSearchTerm(entry, term) {
+  if (term.field === "ep") {
+    const [from, to] = parseRange(term.text, parseRangeInt);
+    return (entry.episode !== null && (from !== null || to !== null) && inRange(entry.episode, from, to)) ? [""] : [];
   }
-  const rivalSpriteUrl = spriteUrlFor(meta.rival?.species);
-  if (rivalSpriteUrl) rivalSpriteEl.src = rivalSpriteUrl;
-  attachPlaceholderOnErrorOrNull(rivalSpriteEl, meta.rival?.species, rivalSpriteUrl);
+  const fields = term.field ? [term.field] : SEARCH_TEXT_FIELDS;
+  const found = [];
+  for (const name of fields) {
+    const f = entry.fields[name];
+    if (!f || !f.text) continue;
+    if (term.phrase) {
+      if (phraseMatch(term.text, f.text)) found.push(term.text);
+    } else {
+      for (const word of f.words) if (fuzzyWordMatch(term.text, word)) found.push(word);
+    }
+  }
+  return found;
+}
 
-  // run ended meta indicator (optional)
-  if (meta.ended) {
-    const existing = container.querySelector(".run-ended-top");
-    const text = `Run ended: Episode ${meta.ended.episode}` + (meta.ended.date ? ` • ${meta.ended.date}` : "") + (meta.ended.note ? ` — ${meta.ended.note}` : "");
-    if (existing) existing.textContent = text;
-    else {
-      const el = document.createElement("div");
-      el.className = "run-ended-top";
-      el.textContent = text;
-      container.appendChild(el);
+/**
+ * searchEvents(index, q)
+ * Every term must match. Returns Map<searchKey, matched strings> (for highlighting),
+ * or null when the query is empty.
+ */
+function searchEvents(index, q) {
+  const terms = parseSearchQuery(q);
+  if (terms.length === 0) return null;
+  const hits = new Map();
+  for (const entry of index) {
+    const matched = [];
+    let ok = true;
+    for (const term of terms) {
+      const found = matchSearchTerm(entry, term);
+      if (found.length === 0) { ok = false; break; }
+      matched.push(...found.filter(Boolean));
     }
-  } else {
-    const existing = container.querySelector(".run-ended-top");
-    if (existing) existing.remove();
+    if (ok) hits.set(entry.key, Array.from(new Set(matched)));
   }
-  container.hidden = false;
+  return hits;
 }
 
-/* ============================
-   Rules panel & Back-to-top
-   ============================ */
-function initRulesToggle() {
-  const toggle = document.getElementById("rules-toggle");
-  const panel = document.getElementById("rules-panel");
-  const closeBtn = document.getElementById("rules-close");
-  if (!toggle || !panel) return;
-  function openPanel() { panel.hidden = false; toggle.setAttribute("aria-expanded", "true"); }
-  function closePanel() { panel.hidden = true; toggle.setAttribute("aria-expanded", "false"); }
-  toggle.addEventListener("click", () => { if (panel.hidden) openPanel(); else closePanel(); });
-  closeBtn?.addEventListener("click", closePanel);
-  document.addEventListener("keydown", (e) => { if (e.key === "Escape") closePanel(); });
-  document.addEventListener("click", (e) => { if (!panel.hidden && !panel.contains(e.target) && !toggle.contains(e.target)) closePanel(); });
+/* Re-uses the index while the same run (and spoiler setting) stays loaded */
+function getSearchIndex(cacheKey, events) {
+  if (!SEARCH_INDEX || SEARCH_INDEX.cacheKey !== cacheKey) SEARCH_INDEX = { cacheKey, index: buildSearchIndex(events) };
+  return SEARCH_INDEX.index;
 }
-function initBackToTop() {
-  const btn = document.getElementById("back-to-top");
-  if (!btn) return;
-  function check() { btn.style.display = (window.scrollY > 480) ? "flex" : "none"; }
-  window.addEventListener("scroll", check);
-  btn.addEventListener("click", () => window.scrollTo({ top: 0, behavior: "smooth" }));
-  check();
+
+function clearSearchHighlights() {
+  document.querySelectorAll("#timeline mark.search-hit").forEach(mark => {
+    const parent = mark.parentNode;
+    parent.replaceChild(document.createTextNode(mark.textContent), mark);
+    parent.normalize();
+  });
+}
+
+/* Wraps matched words in <mark class="search-hit"> inside the visible cards */
+function highlightSearchHits(hits) {
+  SEARCH_HIT_POS = -1;
+  clearSearchHighlights();
+  const timeline = document.getElementById("timeline");
+  if (!timeline || !hits) {
+    renderSearchHitCounter();
+    return;
+  }
+  timeline.querySelectorAll("[data-id]:not(.filtered-out)").forEach(card => {
+    const words = (hits.get(card.dataset.id) || []).filter(w => w.length > 1);
+    if (words.length === 0) return;
+    const alternatives = words.sort((a, b) => b.length - a.length).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    const re = new RegExp(`(?<![\\p{L}\\p{N}])(${alternatives.join("|")})(?![\\p{L}\\p{N}])`, "giu");
+    const walker = document.createTreeWalker(card, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    for (const node of nodes) {
+      if (node.parentElement?.closest("mark, button, script, style")) continue;
+      const text = node.nodeValue;
+      re.lastIndex = 0;
+      if (!re.test(text)) continue;
+      re.lastIndex = 0;
+      const frag = document.createDocumentFragment();
+      let last = 0;
+      let m;
+      while ((m = re.exec(text)) !== null) {
+        if (m.index > last) frag.appendChild(document.createTextNode(text.slice(last, m.index)));
+        const mark = document.createElement("mark");
+        mark.className = "search-hit";
+        mark.textContent = m[0];
+        frag.appendChild(mark);
+        last = m.index + m[0].length;
+      }
+      if (last < text.length) frag.appendChild(document.createTextNode(text.slice(last)));
+      node.parentNode.replaceChild(frag, node);
+    }
+  });
+  renderSearchHitCounter();
+}
+
+function renderSearchHitCounter() {
+  const counter = document.getElementById("search-hits");
+  if (!counter) return;
+  const total = document.querySelectorAll("#timeline mark.search-hit").length;
+  counter.hidden = total === 0;
+  const label = document.getElementById("search-hits-label");
+  if (label) label.textContent = SEARCH_HIT_POS >= 0 ? `${SEARCH_HIT_POS + 1} / ${total}` : `${total} hit${total === 1 ? "" : "s"}`;
+}
+
+/* Moves to the next (+1) / previous (-1) highlighted hit, expanding its episode if needed */
+function gotoSearchHit(step) {
+  const marks = Array.from(document.querySelectorAll("#timeline mark.search-hit"));
+  if (marks.length === 0) return;
+  SEARCH_HIT_POS = (SEARCH_HIT_POS + step + marks.length) % marks.length;
+  marks.forEach(m => m.classList.remove("current"));
+  const mark = marks[SEARCH_HIT_POS];
+  mark.classList.add("current");
+  renderSearchHitCounter();
+
+  const section = mark.closest(".episode-section");
+  const contents = section?.querySelector(".episode-contents");
+  if (contents && contents.classList.contains("collapsed")) toggleEpisodeSection(CURRENT_RUN_ID || DEFAULT_RUN_ID, section.dataset.episode);
+  setTimeout(() => {
+    const top = mark.getBoundingClientRect().top + window.scrollY - SCROLL_OFFSET - 40;
+    window.scrollTo({ top, behavior: "smooth" });
+  }, 120);
+}
+
+function initSearchNavigation() {
+  const search = document.getElementById("search");
+  search?.addEventListener("keydown", (e) => {
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    gotoSearchHit(e.shiftKey ? -1 : 1);
+  });
+  document.getElementById("search-prev")?.addEventListener("click", () => gotoSearchHit(-1));
+  document.getElementById("search-next")?.addEventListener("click", () => gotoSearchHit(1));
 }
 
 /* ============================
    Load and display run
    ============================ */
+/* Parsed run files, fetched once per run id for the lifetime of the page (failed loads are retried next time) */
+function loadRunData(runId) {
+  if (!RUN_DATA_CACHE.has(runId)) {
+    const loading = (async () => {
+      const problems = [];
+      const fileEvents = await fetchRunEvents(runId, problems);
+      const meta = await fetchRunMeta(runId);
+      return { fileEvents, meta, problems };
+    })();
+    const forget = () => { if (RUN_DATA_CACHE.get(runId) === loading) RUN_DATA_CACHE.delete(runId); };
+    loading.then(data => { if (data.problems.some(p => p.level === "error")) forget(); }, forget);
+    RUN_DATA_CACHE.set(runId, loading);
+  }
+  return RUN_DATA_CACHE.get(runId);
+}
+
+/* [{ id, title, events }] for index.json entries, each run cut at its own spoiler guard */
+function loadGuardedRuns(runs = RUNS_LIST) {
+  return Promise.all(runs.map(async (r) => ({
+    id: r.id,
+    title: r.title,
+    events: applySpoilerGuard((await loadRunData(r.id)).fileEvents, getWatchedUpTo(r.id))
+  })));
+}
+
+/**
+ * applyTimelineFilters()
+ * Shows/hides the already rendered cards (TIMELINE_CARDS) for the current filters and
+ * search instead of rebuilding the timeline, so scroll position and expanded episodes
+ * survive. Also keeps the URL query, the "showing X of Y" count and the episode
+ * selector in step with what's visible.
+ */
+function applyTimelineFilters() {
+  const allEvents = CURRENT_RUN_EVENTS;
+  const upTo = getWatchedUpTo(CURRENT_RUN_ID || DEFAULT_RUN_ID);
+  // filters + search, mirrored into the URL so the filtered view can be shared
+  const filters = readFilterForm();
+  const url = new URL(location);
+  writeFilterParams(filters, url.searchParams);
+  history.replaceState(null, "", url.toString());
+  const searchHits = searchEvents(getSearchIndex(`${CURRENT_RUN_ID}:${upTo}`, allEvents), filters.q);
+
+  let shown = 0;
+  allEvents.forEach((ev, i) => {
+    const card = TIMELINE_CARDS.get(ev);
+    const visible = eventMatchesFilters(ev, filters) && (!searchHits || searchHits.has(searchKey(ev, i)));
+    if (visible) shown++;
+    card?.classList.toggle("filtered-out", !visible);
+  });
+
+  // placeholders for empty episodes only survive the episode range filter
+  const onlyEpisodeRange = !filters.q && countActiveFilters({ ...filters, episodeFrom: null, episodeTo: null }) === 0;
+  const episodes = [];
+  document.querySelectorAll("#timeline .episode-section").forEach(section => {
+    const contents = section.querySelector(".episode-contents");
+    const placeholder = contents?.querySelector(".episode-placeholder");
+    placeholder?.classList.toggle("filtered-out", !(onlyEpisodeRange && inRange(Number(section.dataset.episode), filters.episodeFrom, filters.episodeTo)));
+    const anyVisible = Array.from(contents?.children || []).some(el => !el.classList.contains("filtered-out") && !el.classList.contains("episode-summary"));
+    section.classList.toggle("filtered-out", !anyVisible);
+    if (anyVisible) episodes.push({ episode: section.dataset.episode, date: section.dataset.date || "", title: section.dataset.title || "" });
+  });
+  populateEpisodeSelector(episodes);
+
+  const messageEl = document.getElementById("message");
+  if (messageEl && allEvents.length > 0) {
+    messageEl.hidden = shown > 0;
+    messageEl.textContent = shown > 0 ? "" : "No events match the current filters.";
+  }
+  renderFilterSummary(shown, allEvents.length, filters);
+  highlightSearchHits(searchHits);
+}
+
 async function loadAndDisplayRun(runId) {
   if (!runId) runId = DEFAULT_RUN_ID;
   CURRENT_RUN_ID = runId;
 
-  const allEvents = await fetchRunEvents(runId);
-  const filterType = document.getElementById("filter-type")?.value || "all";
-  const q = (document.getElementById("search")?.value || "").trim().toLowerCase();
-
-  let events = allEvents.slice();
-  if (filterType && filterType !== "all") events = events.filter(e => (e.type || "").toLowerCase() === filterType.toLowerCase());
-  if (q) {
-    events = events.filter(e => {
-      const species = (e.pokemon?.species || "").toLowerCase();
-      const nick = (e.pokemon?.nickname || "").toLowerCase();
-      const notes = (e.notes || "").toLowerCase();
-      const type = (e.type || "").toLowerCase();
-      const location = (e.location || e.obtained || e.obtainedVia || "").toLowerCase();
-      const badge = (e.badge || "").toLowerCase();
-      return species.includes(q) || nick.includes(q) || notes.includes(q) || type.includes(q) || location.includes(q) || badge.includes(q);
-    });
-  }
-
-  renderTimeline(events);
-  const meta = await fetchRunMeta(runId);
-  populateRunDetails(meta);
+  const { fileEvents, meta, problems } = await loadRunData(runId);
+  // fill in video links from meta.episodes where the file leaves them out
+  const runEvents = withEpisodeVideoUrls(fileEvents, meta);
+  // everything below (timeline, filters, search, roster, stats, audit) only sees what's been watched
+  const upTo = getWatchedUpTo(runId);
+  const allEvents = applySpoilerGuard(runEvents, upTo);
+  const hiddenEpisodes = Array.from(new Set(runEvents.filter(ev => isAfterWatched(ev, upTo)).map(ev => Number(ev.episode)))).sort((a, b) => a - b);
+  // the run-ended indicator is a spoiler too unless it falls within the watched episodes
+  const shownMeta = (meta?.ended && upTo !== null && !(Number(meta.ended.episode) <= upTo)) ? { ...meta, ended: undefined } : meta;
+  CURRENT_RUN_ALL_EVENTS = runEvents;
+  CURRENT_RUN_FILE_EVENTS = fileEvents;
+  CURRENT_RUN_EVENTS = allEvents;
+  CURRENT_RUN_META = meta;
+  applyRunTheme(meta);
+  populateWatchedSelector(runEvents, meta, upTo);
+  fillFilterSuggestions(allEvents);
+
+  const roster = buildRoster(allEvents);
+  indexPokemonSlugs(roster);
+  // every event gets a card once per run load; filters and search only toggle them
+  renderTimeline(allEvents.slice());
+  renderWhatsNew(runId, trackSeenEvents(runId, allEvents, runEvents));
+  renderSpoilerGuardNotice(hiddenEpisodes, upTo);
+  populateRunDetails(shownMeta);
+  renderRivalEncounters(allEvents, meta);
+  renderBadgeCase(allEvents);
+  renderRoster(roster);
+  renderRunStats(computeRunStats(allEvents));
+  const violations = auditRunRules(allEvents, meta?.rules);
+  markRuleViolations(violations);
+  renderRulesAudit(meta?.rules, violations);
+  renderLevelCapRule(allEvents, meta?.rules);
+  applyTimelineFilters();
+  document.dispatchEvent(new CustomEvent("runloaded", { detail: { runId, events: allEvents, meta } }));
+  renderDataProblems(problems.concat(validateRunEvents(allEvents), validateVideoLinks(applySpoilerGuard(fileEvents, upTo), meta), validateRunMeta(meta)));
 }
 
 /* ============================
@@ -1184,9 +5885,22 @@ async function loadAndDisplayRun(runId) {
 async function init() {
   initRulesToggle();
   initBackToTop();
-
-  const runs = await loadRunsList();
+  initPokemonView();
+  initStatsToggle();
+  initVideoDock();
+  initSpoilerGuard();
+  initNamesakeIndex();
+  initKillerStats();
+  initEventPermalinks();
+  initSearchNavigation();
+  initThemes();
+  initPreferences(() => loadAndDisplayRun(CURRENT_RUN_ID || DEFAULT_RUN_ID));
+
+  const [runs] = await Promise.all([loadRunsList(), loadSpriteManifest(), loadGymCatalog()]);
+  RUNS_LIST = runs;
   populateRunSelector(runs);
+  initCompareMode(runs);
+  initEventEditor();
 
   const runSel = document.getElementById("run-selector");
   runSel?.addEventListener("change", () => {
@@ -1197,12 +5911,12 @@ async function init() {
     loadAndDisplayRun(runId);
   });
 
-  document.getElementById("filter-type")?.addEventListener("change", () => loadAndDisplayRun(runSel.value));
-  // debounce search input to reduce re-renders
+  initFilters(applyTimelineFilters);
+  // debounce search input so fast typing filters once
   let searchTimer = null;
   document.getElementById("search")?.addEventListener("input", () => {
     clearTimeout(searchTimer);
-    searchTimer = setTimeout(() => loadAndDisplayRun(runSel.value), 240);
+    searchTimer = setTimeout(applyTimelineFilters, 120);
   });
 
   // choose initial run: ?run=run-X OR DEFAULT_RUN_ID OR first in index
@@ -1210,7 +5924,9 @@ async function init() {
   const runParam = params.get("run");
   const initial = (runParam && runs.find(r => r.id === runParam)?.id) || DEFAULT_RUN_ID || runs[0]?.id || DEFAULT_RUN_ID;
   if (runSel) runSel.value = initial;
+  adoptWatchedFromUrl(initial);
   await loadAndDisplayRun(initial);
+  if (params.get("report") === "sprites") openSpriteReport();
 
   // reposition ribbons on resize (data-ribbon is pseudo-element so no reposition function needed)
   window.addEventListener("resize", () => requestAnimationFrame(() => {}));
@@ -1224,6 +5940,7 @@ async function init() {
 function createGymElement(ev) {
   const section = document.createElement("section");
   section.className = "gym-section";
+  if (ev.id) section.dataset.id = ev.id;
 
   // banner container
   const banner = document.createElement("div");
@@ -1271,8 +5988,7 @@ function createGymElement(ev) {
     p.appendChild(t);
     pkRow.appendChild(p);
   } else {
-    if (pokemons.length === 1) pkRow.style.justifyContent = "center";
-    else pkRow.style.justifyContent = "space-between";
+    if (pokemons.length === 1) pkRow.classList.add("single");
 
     for (const pkm of pokemons) {
       const card = document.createElement("div");
@@ -1285,7 +6001,7 @@ function createGymElement(ev) {
 
       // use your existing sprite loader helper if present
       if (typeof spriteUrlFor === "function") {
-        const sUrl = spriteUrlFor(speciesName);
+        const sUrl = spriteUrlFor(speciesName, spriteSetFor(null));
         if (sUrl) img.src = sUrl;
       }
       if (typeof attachPlaceholderOnErrorOrNull === "function") {
@@ -1296,7 +6012,10 @@ function createGymElement(ev) {
 
       const nameLine = document.createElement("div");
       nameLine.className = "pk-name";
-      if (pkm.nickname) nameLine.textContent = `${pkm.nickname} • ${speciesName}`;
+      if (pkm.nickname) {
+        nameLine.appendChild(createNicknameLink(pkm.nickname, ev));
+        nameLine.appendChild(document.createTextNode(` • ${speciesName}`));
+      }
       else nameLine.textContent = speciesName || "Unknown";
       card.appendChild(nameLine);
 
@@ -1307,30 +6026,63 @@ function createGymElement(ev) {
   banner.appendChild(pkRow);
 
   // meta row: left: "Badge Earned!", right: "Town Gym at Time (clickable)"
+  // leader, type and badge name come from the gym catalog when the badge is in it
+  const gym = gymForBadge(ev.badge);
+  const town = ev.town || gym?.town || ev.location || "";
+  const time = ev.time || ev.timestamp || ev.date || "";
+  const videoUrl = (ev.video && ev.video.url) ? ev.video.url : (ev.videoUrl || ev.timeUrl || null);
+  banner.appendChild(createBannerMeta(gym ? `${gymBadgeName(gym)} Earned!` : "Badge Earned!", town ? `${town} Gym` : "Gym", time, videoUrl));
+
+  if (gym && (gym.leader || gym.type)) {
+    const leader = document.createElement("div");
+    leader.className = "gym-leader";
+    leader.appendChild(document.createTextNode(gym.leader ? `Gym Leader ${gym.leader}` : "Gym"));
+    const chips = createTypeChips(gym.type ? [String(gym.type).toLowerCase()] : []);
+    if (chips) leader.appendChild(chips);
+    banner.appendChild(leader);
+  }
+  // the run's level cap steps up to the next gym's once this badge is earned
+  const caps = levelCapsFor(CURRENT_RUN_META?.rules);
+  const capIndex = caps.findIndex(c => speciesToFilename(c.badge) === speciesToFilename(ev.badge));
+  if (capIndex >= 0) {
+    const capLine = document.createElement("div");
+    capLine.className = "gym-level-cap";
+    const nextCap = caps[capIndex + 1];
+    capLine.textContent = nextCap ? `Level cap is now Lv. ${nextCap.level}` : "No more level caps";
+    banner.appendChild(capLine);
+  }
+
+  // description / notes area
+  if (ev.notes) {
+    const desc = document.createElement("div");
+    desc.className = "gym-description";
+    desc.textContent = ev.notes;
+    banner.appendChild(desc);
+  }
+
+  section.appendChild(banner);
+  return section;
+}
+
+/* Bottom row of a gym/battle banner: left text, right "<place> at <time>" with the time linking to the video */
+function createBannerMeta(leftText, place, time, videoUrl) {
   const meta = document.createElement("div");
   meta.className = "gym-meta";
   const left = document.createElement("div");
   left.className = "left";
-  left.textContent = "Badge Earned!";
+  left.textContent = leftText;
 
   const right = document.createElement("div");
   right.className = "right";
-
-  const town = ev.town || ev.location || "";
-  const time = ev.time || ev.timestamp || ev.date || "";
-  // We want: "Town Gym" optionally " at [time]" where time is a clickable link if ev.video?.url is present.
-  const townText = town ? `${town} Gym` : "Gym";
-  right.appendChild(document.createTextNode(townText));
-
+  if (place) right.appendChild(document.createTextNode(place));
   if (time) {
-    right.appendChild(document.createTextNode(" at "));
-    // if there's a video URL, make the time clickable
-    const videoUrl = (ev.video && ev.video.url) ? ev.video.url : (ev.videoUrl || ev.timeUrl || null);
+    if (place) right.appendChild(document.createTextNode(" at "));
     if (videoUrl) {
       const a = document.createElement("a");
       a.href = videoUrl;
       a.target = "_blank";
       a.rel = "noopener";
+      a.className = "video-link";
       a.textContent = time;
       // stop propagation so the click doesn't bubble to any parent banner click handler
       a.addEventListener("click", (e) => { e.stopPropagation(); });
@@ -1347,9 +6099,75 @@ function createGymElement(ev) {
 
   meta.appendChild(left);
   meta.appendChild(right);
-  banner.appendChild(meta);
+  return meta;
+}
+
+/**
+ * createBattleElement(ev)
+ * Full-width banner for rival, evil-team boss, Elite Four and champion fights (same frame as a gym).
+ * Expects ev to have: kind, opponent { name, team: [{ species, level }] }, outcome ("won" / "lost"),
+ * and optionally pokemons (the player's team), mvp, casualties (nicknames), location, timestamp, notes
+ */
+function createBattleElement(ev) {
+  const section = document.createElement("section");
+  section.className = "gym-section battle-section";
+  if (ev.id) section.dataset.id = ev.id;
+  if (ev.kind) section.dataset.kind = ev.kind;
+
+  const banner = document.createElement("div");
+  banner.className = `gym-banner battle-banner ${ev.outcome === "lost" ? "lost" : "won"}`;
+
+  const title = document.createElement("div");
+  title.className = "battle-title";
+  const kind = document.createElement("span");
+  kind.className = "battle-kind";
+  kind.textContent = BATTLE_KINDS[ev.kind] || "Battle";
+  title.appendChild(kind);
+  const opponent = document.createElement("strong");
+  opponent.textContent = `vs. ${ev.opponent?.name || "???"}`;
+  title.appendChild(opponent);
+  banner.appendChild(title);
+
+  // player's team | VS | opponent's team
+  const casualties = new Set(Array.isArray(ev.casualties) ? ev.casualties : []);
+  const teams = document.createElement("div");
+  teams.className = "battle-teams";
+  teams.appendChild(createBattleTeamRow(ev.pokemons, ev, (pkm, card) => {
+    if (pkm.nickname && pkm.nickname === ev.mvp) card.classList.add("mvp");
+    if (pkm.nickname && casualties.has(pkm.nickname)) card.classList.add("casualty");
+  }));
+  const versus = document.createElement("div");
+  versus.className = "battle-versus";
+  versus.textContent = "VS";
+  teams.appendChild(versus);
+  teams.appendChild(createBattleTeamRow(ev.opponent?.team, ev));
+  banner.appendChild(teams);
+
+  // MVP and casualties
+  const summary = document.createElement("div");
+  summary.className = "battle-summary";
+  if (ev.mvp) {
+    const mvp = document.createElement("span");
+    mvp.appendChild(document.createTextNode("★ MVP: "));
+    mvp.appendChild(createNicknameLink(ev.mvp, ev));
+    summary.appendChild(mvp);
+  }
+  const lost = document.createElement("span");
+  if (casualties.size) {
+    lost.appendChild(document.createTextNode("Lost: "));
+    Array.from(casualties).forEach((nick, i) => {
+      if (i) lost.appendChild(document.createTextNode(", "));
+      lost.appendChild(createNicknameLink(nick, ev));
+    });
+  } else {
+    lost.textContent = "No casualties";
+  }
+  summary.appendChild(lost);
+  banner.appendChild(summary);
+
+  // meta row: left: outcome, right: "Location at [time]"
+  banner.appendChild(createBannerMeta(BATTLE_OUTCOMES[ev.outcome] || "", ev.location || "", ev.timestamp || "", ev.video?.url || null));
 
-  // description / notes area
   if (ev.notes) {
     const desc = document.createElement("div");
     desc.className = "gym-description";
@@ -1361,6 +6179,42 @@ function createGymElement(ev) {
   return section;
 }
 
+/* One side of a battle: sprite, nickname/species and level per Pokémon; decorate(pkm, card) adds classes */
+function createBattleTeamRow(team, ev, decorate) {
+  const row = document.createElement("div");
+  row.className = "gym-pokemon-row wrap battle-team";
+  const members = Array.isArray(team) ? team : [];
+  if (members.length === 0) {
+    const unknown = document.createElement("div");
+    unknown.className = "gym-pokemon";
+    const t = document.createElement("div");
+    t.className = "pk-name";
+    t.textContent = "Team not listed";
+    unknown.appendChild(t);
+    row.appendChild(unknown);
+    return row;
+  }
+  for (const pkm of members) {
+    const card = document.createElement("div");
+    card.className = "gym-pokemon";
+    const species = pkm?.species || "";
+    card.appendChild(createSpriteImage(species, ev));
+    const nameLine = document.createElement("div");
+    nameLine.className = "pk-name";
+    if (pkm?.nickname) {
+      nameLine.appendChild(createNicknameLink(pkm.nickname, ev));
+      nameLine.appendChild(document.createTextNode(` • ${species}`));
+    } else {
+      nameLine.textContent = species || "Unknown";
+    }
+    if (Number.isInteger(pkm?.level)) nameLine.appendChild(document.createTextNode(` • Lv. ${pkm.level}`));
+    card.appendChild(nameLine);
+    if (decorate) decorate(pkm, card);
+    row.appendChild(card);
+  }
+  return row;
+}
+
 /* ============================
    Start
    ============================ */